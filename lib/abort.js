@@ -0,0 +1,47 @@
+/**
+ * Client disconnect → AbortSignal.
+ *
+ * Routes hand clientSignal(res) to prepareChat; the signal removes the job
+ * from its backend queue or, once it runs, stops the provider loop and
+ * closes its page.
+ */
+
+function abortError(message = 'Request cancelled by client') {
+    const err = new Error(message);
+    err.name = 'AbortError';
+    return err;
+}
+
+function isAbortError(err) {
+    return !!err && err.name === 'AbortError';
+}
+
+/**
+ * Aborts when the response is closed before we finished writing it — the
+ * client cancelled, dropped the SSE connection or hit its own timeout.
+ */
+function clientSignal(res) {
+    const controller = new AbortController();
+    res.on('close', () => {
+        if (!res.writableFinished) controller.abort(abortError());
+    });
+    return controller.signal;
+}
+
+/** Resolves after `ms`, or rejects with the signal's reason as soon as it aborts. */
+function delay(ms, signal = null) {
+    return new Promise((resolve, reject) => {
+        if (signal && signal.aborted) return reject(signal.reason || abortError());
+        const onAbort = () => {
+            clearTimeout(timer);
+            reject(signal.reason || abortError());
+        };
+        const timer = setTimeout(() => {
+            if (signal) signal.removeEventListener('abort', onAbort);
+            resolve();
+        }, ms);
+        if (signal) signal.addEventListener('abort', onAbort, { once: true });
+    });
+}
+
+module.exports = { abortError, isAbortError, clientSignal, delay };
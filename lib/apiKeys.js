@@ -0,0 +1,165 @@
+/**
+ * API key authentication with per-key rate limits and daily quotas.
+ *
+ * Keys come from a JSON file (API_KEYS_FILE, default ./api-keys.json) and/or
+ * the API_KEYS env var (comma-separated "key" or "name=key" entries):
+ *
+ *   {
+ *     "defaults": { "rateLimit": 60, "dailyQuota": 0 },
+ *     "keys": [
+ *       { "key": "sk-local-abc", "name": "open-webui", "rateLimit": 20, "dailyQuota": 500, "priority": "low" },
+ *       { "key": "sk-local-admin", "name": "admin", "admin": true }
+ *     ]
+ *   }
+ *
+ * rateLimit is requests per minute, dailyQuota is queries (POSTs) per UTC day;
+ * 0 means unlimited. priority (high/normal/low) is the key's default and
+ * highest queue priority. Clients send "Authorization: Bearer <key>" or
+ * "x-api-key: <key>". With no keys configured authentication is off.
+ * Usage counters live in memory and restart with the server.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const MINUTE = 60 * 1000;
+
+function errorBody(message, type, code) {
+    return { error: { message, type, param: null, code } };
+}
+
+// "sk-local-abcdef" → "sk-l...cdef", for error messages and usage reports
+function maskKey(key) {
+    return key.length <= 8 ? '****' : `${key.slice(0, 4)}...${key.slice(-4)}`;
+}
+
+function today(time) {
+    return new Date(time).toISOString().slice(0, 10);
+}
+
+function nextUtcMidnight(time) {
+    const d = new Date(time);
+    return Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate() + 1);
+}
+
+function readKeyFile(file) {
+    if (!fs.existsSync(file)) return { defaults: {}, keys: [] };
+    const config = JSON.parse(fs.readFileSync(file, 'utf8'));
+    return { defaults: config.defaults || {}, keys: config.keys || [] };
+}
+
+function parseEnvKeys(value) {
+    return (value || '').split(',').map(s => s.trim()).filter(Boolean).map((entry, i) => {
+        const eq = entry.indexOf('=');
+        return eq > 0 ? { name: entry.slice(0, eq), key: entry.slice(eq + 1) } : { name: `env-${i + 1}`, key: entry };
+    });
+}
+
+/**
+ * Loads the configured keys. Returns { enabled, count, authenticate, usage }:
+ * authenticate is Express middleware that sets req.apiKey (name, admin, priority)
+ * or answers 401/429; usage(req) reports consumption for the caller's key, or
+ * for every key when the caller is an admin. `now` is the clock (tests pass a
+ * fake one).
+ */
+function createApiKeys({
+    file = process.env.API_KEYS_FILE || path.join(__dirname, '..', 'api-keys.json'),
+    envKeys = process.env.API_KEYS,
+    now: clock = Date.now
+} = {}) {
+    const config = readKeyFile(file);
+    const defaults = {
+        rateLimit: parseInt(process.env.API_RATE_LIMIT || String(config.defaults.rateLimit ?? 60), 10),
+        dailyQuota: parseInt(process.env.API_DAILY_QUOTA || String(config.defaults.dailyQuota ?? 0), 10)
+    };
+
+    const keys = new Map(); // key → { name, admin, priority, rateLimit, dailyQuota, usage }
+    for (const entry of [...config.keys, ...parseEnvKeys(envKeys)]) {
+        if (!entry.key) continue;
+        keys.set(entry.key, {
+            name: entry.name || maskKey(entry.key),
+            admin: !!entry.admin,
+            priority: entry.priority || null,
+            rateLimit: entry.rateLimit ?? defaults.rateLimit,
+            dailyQuota: entry.dailyQuota ?? defaults.dailyQuota,
+            usage: { recent: [], day: today(clock()), today: 0, total: 0, byModel: {}, lastUsed: null }
+        });
+    }
+
+    function presentedKey(req) {
+        const auth = req.get('Authorization') || '';
+        const bearer = auth.match(/^Bearer\s+(.+)$/i);
+        return bearer ? bearer[1].trim() : (req.get('x-api-key') || '').trim();
+    }
+
+    function authenticate(req, res, next) {
+        if (keys.size === 0) return next();
+
+        const key = presentedKey(req);
+        if (!key) {
+            return res.status(401).json(errorBody(
+                "You didn't provide an API key. Send it as 'Authorization: Bearer <key>' or in the 'x-api-key' header.",
+                'invalid_request_error', 'missing_api_key'));
+        }
+        const entry = keys.get(key);
+        if (!entry) {
+            return res.status(401).json(errorBody(`Incorrect API key provided: ${maskKey(key)}.`, 'invalid_request_error', 'invalid_api_key'));
+        }
+
+        const now = clock();
+        const usage = entry.usage;
+        usage.recent = usage.recent.filter(t => now - t < MINUTE);
+        if (usage.day !== today(now)) { usage.day = today(now); usage.today = 0; }
+
+        if (entry.rateLimit > 0 && usage.recent.length >= entry.rateLimit) {
+            res.setHeader('Retry-After', String(Math.max(1, Math.ceil((usage.recent[0] + MINUTE - now) / 1000))));
+            return res.status(429).json(errorBody(
+                `Rate limit reached for key '${entry.name}': ${entry.rateLimit} requests per minute. Please try again later.`,
+                'requests', 'rate_limit_exceeded'));
+        }
+        // Only queries count against the daily quota, not model listings or usage checks
+        const isQuery = req.method === 'POST';
+        if (isQuery && entry.dailyQuota > 0 && usage.today >= entry.dailyQuota) {
+            res.setHeader('Retry-After', String(Math.ceil((nextUtcMidnight(now) - now) / 1000)));
+            return res.status(429).json(errorBody(
+                `Daily quota of ${entry.dailyQuota} requests exceeded for key '${entry.name}'. It resets at 00:00 UTC.`,
+                'insufficient_quota', 'insufficient_quota'));
+        }
+
+        usage.recent.push(now);
+        usage.lastUsed = now;
+        if (isQuery) {
+            usage.today++;
+            usage.total++;
+            const model = (req.body && req.body.model) || 'unknown';
+            usage.byModel[model] = (usage.byModel[model] || 0) + 1;
+        }
+        req.apiKey = { name: entry.name, admin: entry.admin, priority: entry.priority };
+        next();
+    }
+
+    function report(key, entry) {
+        const now = clock();
+        const u = entry.usage;
+        return {
+            name: entry.name,
+            key: maskKey(key),
+            rate_limit_per_minute: entry.rateLimit || null,
+            daily_quota: entry.dailyQuota || null,
+            requests_last_minute: u.recent.filter(t => now - t < MINUTE).length,
+            requests_today: u.day === today(now) ? u.today : 0,
+            requests_total: u.total,
+            by_model: u.byModel,
+            last_used: u.lastUsed ? new Date(u.lastUsed).toISOString() : null
+        };
+    }
+
+    function usage(req) {
+        const visible = [...keys].filter(([, entry]) => !req.apiKey || req.apiKey.admin || entry.name === req.apiKey.name);
+        return { object: 'list', date: today(clock()), data: visible.map(([key, entry]) => report(key, entry)) };
+    }
+
+    return { enabled: keys.size > 0, count: keys.size, authenticate, usage };
+}
+
+module.exports = { createApiKeys, maskKey };
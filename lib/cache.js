@@ -0,0 +1,109 @@
+/**
+ * On-disk response cache for repeated prompts.
+ *
+ * One JSON file per entry in RESPONSE_CACHE_DIR, named by a hash of the model
+ * and the normalized prompt. Entries expire after `ttl`; when the directory
+ * grows past `maxBytes` the oldest entries are evicted first. The index is
+ * rebuilt from the directory on start, so the cache survives restarts.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const REPLAY_CHUNK = 64; // chars per replayed stream chunk
+
+// Collapse whitespace so trivially different prompts share an entry
+function normalizePrompt(prompt) {
+    return prompt.replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Splits a cached answer into stream-sized pieces, breaking after whitespace
+ * so words aren't cut in half.
+ */
+function replayChunks(text, size = REPLAY_CHUNK) {
+    const chunks = [];
+    let rest = text;
+    while (rest.length > size) {
+        let cut = rest.lastIndexOf(' ', size);
+        cut = cut > 0 ? cut + 1 : size;
+        chunks.push(rest.slice(0, cut));
+        rest = rest.slice(cut);
+    }
+    if (rest) chunks.push(rest);
+    return chunks;
+}
+
+/**
+ * Returns { keyFor(model, prompt), get(key), set(key, value), stats() }.
+ * get() returns the stored value or null when missing or expired.
+ */
+function createResponseCache({ dir, ttl, maxBytes }) {
+    const index = new Map(); // key → { file, size, createdAt }, oldest first
+    let bytes = 0;
+
+    function remove(key) {
+        const entry = index.get(key);
+        if (!entry) return;
+        index.delete(key);
+        bytes -= entry.size;
+        fs.rmSync(entry.file, { force: true });
+    }
+
+    // Rebuild the index from disk, oldest first, dropping expired entries
+    fs.mkdirSync(dir, { recursive: true });
+    fs.readdirSync(dir)
+        .filter(name => name.endsWith('.json'))
+        .map(name => {
+            const file = path.join(dir, name);
+            const stat = fs.statSync(file);
+            return { key: name.slice(0, -5), file, size: stat.size, createdAt: stat.mtimeMs };
+        })
+        .sort((a, b) => a.createdAt - b.createdAt)
+        .forEach(({ key, ...entry }) => {
+            index.set(key, entry);
+            bytes += entry.size;
+            if (Date.now() - entry.createdAt > ttl) remove(key);
+        });
+
+    return {
+        keyFor(model, prompt) {
+            return crypto.createHash('sha256').update(model + '\n' + normalizePrompt(prompt)).digest('hex');
+        },
+
+        get(key) {
+            const entry = index.get(key);
+            if (!entry) return null;
+            if (Date.now() - entry.createdAt > ttl) { remove(key); return null; }
+            try {
+                return JSON.parse(fs.readFileSync(entry.file, 'utf8'));
+            } catch {
+                remove(key);
+                return null;
+            }
+        },
+
+        set(key, value) {
+            remove(key);
+            const file = path.join(dir, key + '.json');
+            const data = JSON.stringify({ ...value, cachedAt: new Date().toISOString() });
+            // Write then rename so a crash never leaves a half-written entry
+            fs.writeFileSync(file + '.tmp', data);
+            fs.renameSync(file + '.tmp', file);
+            const size = Buffer.byteLength(data);
+            index.set(key, { file, size, createdAt: Date.now() });
+            bytes += size;
+            for (const oldest of index.keys()) {
+                if (bytes <= maxBytes || oldest === key) break;
+                remove(oldest);
+            }
+        },
+
+        stats() {
+            return { entries: index.size, bytes, maxBytes, ttl };
+        }
+    };
+}
+
+module.exports = { createResponseCache, replayChunks, normalizePrompt };
@@ -0,0 +1,122 @@
+/**
+ * Per-backend circuit breakers.
+ *
+ * A backend's circuit opens after `threshold` consecutive failed attempts
+ * (retries count). While it is open, requests for that backend fail fast
+ * instead of each paying for a page load and the full answer timeout. After
+ * `cooldown` ms it goes half-open and lets one query through as a probe:
+ * success closes the circuit, failure opens it for another cooldown.
+ *
+ *   closed ──threshold failures──▶ open ──cooldown──▶ half-open ──success──▶ closed
+ *                                   ▲                     │
+ *                                   └───────failure───────┘
+ *
+ * A threshold of 0 disables the breakers.
+ */
+
+const STATES = ['closed', 'half-open', 'open'];
+
+/**
+ * Returns { allows(backend), acquire(backend), success(backend),
+ * failure(backend, err), release(backend), retryAfter(backend),
+ * state(backend), stats(backends) }.
+ *
+ * allows() only looks; acquire() is called right before a query runs and
+ * claims the probe of a half-open circuit, so its outcome must be reported
+ * with success(), failure() or — when the query never really ran —
+ * release(). onChange({ backend, from, to, failures, error }) is called on
+ * every state change. `now` is the clock (tests pass a fake one).
+ */
+function createCircuitBreakers({ threshold = 5, cooldown = 60000, onChange = () => {}, now = Date.now } = {}) {
+    const circuits = new Map(); // backend → { state, failures, openedAt, probing, trips }
+
+    function get(backend) {
+        if (!circuits.has(backend)) {
+            circuits.set(backend, { state: 'closed', failures: 0, openedAt: null, probing: false, trips: 0 });
+        }
+        return circuits.get(backend);
+    }
+
+    function move(backend, circuit, to, error = null) {
+        const from = circuit.state;
+        circuit.state = to;
+        circuit.probing = false;
+        if (to === 'open') {
+            circuit.openedAt = now();
+            circuit.trips++;
+        }
+        if (to === 'closed') {
+            circuit.failures = 0;
+            circuit.openedAt = null;
+        }
+        onChange({ backend, from, to, failures: circuit.failures, error });
+    }
+
+    const cooledDown = circuit => now() - circuit.openedAt >= cooldown;
+
+    function allows(backend) {
+        if (threshold <= 0) return true;
+        const circuit = get(backend);
+        if (circuit.state === 'open') return cooledDown(circuit);
+        if (circuit.state === 'half-open') return !circuit.probing;
+        return true;
+    }
+
+    function acquire(backend) {
+        if (!allows(backend)) return false;
+        const circuit = get(backend);
+        if (circuit.state === 'open') move(backend, circuit, 'half-open');
+        if (circuit.state === 'half-open') circuit.probing = true;
+        return true;
+    }
+
+    function success(backend) {
+        if (threshold <= 0) return;
+        const circuit = get(backend);
+        if (circuit.state === 'closed') circuit.failures = 0;
+        else move(backend, circuit, 'closed');
+    }
+
+    function failure(backend, error = null) {
+        if (threshold <= 0) return;
+        const circuit = get(backend);
+        circuit.failures++;
+        if (circuit.state === 'half-open' || (circuit.state === 'closed' && circuit.failures >= threshold)) {
+            move(backend, circuit, 'open', error);
+        }
+    }
+
+    // The probe was abandoned (e.g. the client went away) — let the next query probe
+    function release(backend) {
+        if (threshold <= 0) return;
+        get(backend).probing = false;
+    }
+
+    /** Seconds until an open circuit lets a probe through (at least 1). */
+    function retryAfter(backend) {
+        const circuit = get(backend);
+        if (circuit.state !== 'open') return 1;
+        return Math.max(1, Math.ceil((circuit.openedAt + cooldown - now()) / 1000));
+    }
+
+    function state(backend) {
+        return get(backend).state;
+    }
+
+    function stats(backends) {
+        return Object.fromEntries(backends.map(backend => {
+            const circuit = get(backend);
+            return [backend, {
+                state: circuit.state,
+                failures: circuit.failures,
+                trips: circuit.trips,
+                openedAt: circuit.openedAt && new Date(circuit.openedAt).toISOString(),
+                retryAt: circuit.state === 'open' ? new Date(circuit.openedAt + cooldown).toISOString() : null
+            }];
+        }));
+    }
+
+    return { threshold, allows, acquire, success, failure, release, retryAfter, state, stats };
+}
+
+module.exports = { createCircuitBreakers, STATES };
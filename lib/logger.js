@@ -0,0 +1,71 @@
+/**
+ * Structured logger.
+ *
+ *   const log = logger.child({ requestId });
+ *   log.info('Submitting query', { query, chars: query.length });
+ *
+ * Every line is one JSON object: { time, level, msg, ...bindings, ...fields }.
+ * LOG_FORMAT=pretty prints a readable line instead (for local runs).
+ * LOG_LEVEL is debug | info | warn | error | silent (default info).
+ *
+ * Query text is redacted unless LOG_QUERIES=true: fields named query, prompt
+ * or messages are replaced by their length, and code that logs page text
+ * derived from the query should pass it through redact().
+ */
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 };
+const REDACTED_FIELDS = new Set(['query', 'prompt', 'messages']);
+
+const LOG_LEVEL = LEVELS[process.env.LOG_LEVEL] ? process.env.LOG_LEVEL : 'info';
+const LOG_FORMAT = process.env.LOG_FORMAT === 'pretty' ? 'pretty' : 'json';
+const LOG_QUERIES = process.env.LOG_QUERIES === 'true';
+
+function redact(text) {
+    if (LOG_QUERIES || text == null) return text;
+    const length = typeof text === 'string' ? text.length : JSON.stringify(text).length;
+    return `[redacted ${length} chars]`;
+}
+
+function prepareFields(fields) {
+    const out = {};
+    for (const [key, value] of Object.entries(fields)) {
+        if (value === undefined) continue;
+        if (REDACTED_FIELDS.has(key)) out[key] = redact(value);
+        else if (value instanceof Error) out[key] = value.message;
+        else out[key] = value;
+    }
+    return out;
+}
+
+function prettyLine(entry) {
+    const { time, level, msg, requestId, backend, ...rest } = entry;
+    const context = [requestId, backend].filter(Boolean).join(' ');
+    const extra = Object.entries(rest).map(([k, v]) => `${k}=${typeof v === 'string' ? v : JSON.stringify(v)}`).join(' ');
+    return `${time.slice(11, 23)} ${level.toUpperCase().padEnd(5)} ${context ? `[${context}] ` : ''}${msg}${extra ? '  ' + extra : ''}`;
+}
+
+function createLogger(bindings = {}, { level = LOG_LEVEL, format = LOG_FORMAT } = {}) {
+    const threshold = LEVELS[level];
+
+    function write(lvl, msg, fields = {}) {
+        if (LEVELS[lvl] < threshold) return;
+        const entry = { time: new Date().toISOString(), level: lvl, msg, ...bindings, ...prepareFields(fields) };
+        const line = format === 'pretty' ? prettyLine(entry) : JSON.stringify(entry);
+        if (LEVELS[lvl] >= LEVELS.warn) process.stderr.write(line + '\n');
+        else process.stdout.write(line + '\n');
+    }
+
+    return {
+        level,
+        pretty: format === 'pretty',
+        debug: (msg, fields) => write('debug', msg, fields),
+        info: (msg, fields) => write('info', msg, fields),
+        warn: (msg, fields) => write('warn', msg, fields),
+        error: (msg, fields) => write('error', msg, fields),
+        child: (more) => createLogger({ ...bindings, ...more }, { level, format })
+    };
+}
+
+const logger = createLogger();
+
+module.exports = { logger, createLogger, redact, LEVELS };
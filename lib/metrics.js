@@ -0,0 +1,84 @@
+/**
+ * Minimal Prometheus metrics registry (text exposition format 0.0.4).
+ *
+ * counter(name, help, labels) → { inc(labels, n) }
+ * histogram(name, help, labels, buckets) → { observe(labels, seconds) }
+ * gauge(name, help, labels, collect) → collect() returns [[labels, value], ...]
+ *                                      and is read at scrape time
+ * render() → the /metrics body
+ */
+
+const DEFAULT_BUCKETS = [0.1, 0.25, 0.5, 1, 2.5, 5, 10, 20, 30, 60, 120, 300];
+
+function escapeLabel(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function labelString(names, values) {
+    if (names.length === 0) return '';
+    return '{' + names.map((n, i) => `${n}="${escapeLabel(values[i])}"`).join(',') + '}';
+}
+
+function createRegistry() {
+    const metrics = [];
+
+    // Series are keyed by their label values in declaration order
+    const seriesKey = (names, labels = {}) => names.map(n => labels[n] ?? '');
+
+    function counter(name, help, labelNames = []) {
+        const series = new Map(); // JSON(label values) → value
+        if (labelNames.length === 0) series.set('[]', 0); // a plain counter reports 0 from the start
+        metrics.push({
+            name, help, type: 'counter',
+            lines: () => Array.from(series, ([key, value]) => `${name}${labelString(labelNames, JSON.parse(key))} ${value}`)
+        });
+        return {
+            inc(labels = {}, n = 1) {
+                const key = JSON.stringify(seriesKey(labelNames, labels));
+                series.set(key, (series.get(key) || 0) + n);
+            }
+        };
+    }
+
+    function histogram(name, help, labelNames = [], buckets = DEFAULT_BUCKETS) {
+        const series = new Map(); // JSON(label values) → { counts, sum, count }
+        metrics.push({
+            name, help, type: 'histogram',
+            lines: () => Array.from(series).flatMap(([key, h]) => {
+                const values = JSON.parse(key);
+                const withLe = le => labelString([...labelNames, 'le'], [...values, le]);
+                return [
+                    ...buckets.map((b, i) => `${name}_bucket${withLe(b)} ${h.counts[i]}`),
+                    `${name}_bucket${withLe('+Inf')} ${h.count}`,
+                    `${name}_sum${labelString(labelNames, values)} ${h.sum}`,
+                    `${name}_count${labelString(labelNames, values)} ${h.count}`
+                ];
+            })
+        });
+        return {
+            observe(labels = {}, value) {
+                const key = JSON.stringify(seriesKey(labelNames, labels));
+                let h = series.get(key);
+                if (!h) { h = { counts: buckets.map(() => 0), sum: 0, count: 0 }; series.set(key, h); }
+                buckets.forEach((b, i) => { if (value <= b) h.counts[i]++; });
+                h.sum += value;
+                h.count++;
+            }
+        };
+    }
+
+    function gauge(name, help, labelNames, collect) {
+        metrics.push({
+            name, help, type: 'gauge',
+            lines: () => collect().map(([labels, value]) => `${name}${labelString(labelNames, seriesKey(labelNames, labels))} ${value}`)
+        });
+    }
+
+    function render() {
+        return metrics.map(m => [`# HELP ${m.name} ${m.help}`, `# TYPE ${m.name} ${m.type}`, ...m.lines()].join('\n')).join('\n') + '\n';
+    }
+
+    return { counter, histogram, gauge, render };
+}
+
+module.exports = { createRegistry, DEFAULT_BUCKETS };
@@ -0,0 +1,46 @@
+/**
+ * Per-request chat options every API surface passes to prepareChat:
+ * cache mode, disconnect signal, queue priority, the request's id and logger,
+ * whether it asked for a debug trace (X-Trace: true) and its web search
+ * options (lib/search.js), plus the SSE queue position writer for streaming
+ * responses.
+ */
+
+const { clientSignal } = require('./abort');
+const { requestedSearch } = require('./search');
+
+const PRIORITIES = ['high', 'normal', 'low']; // queue order, first served first
+
+/**
+ * Priority from the X-Priority header, defaulting to the API key's priority.
+ * When keys are in use a client can't ask for more than its key allows
+ * (keys without a priority are capped at normal).
+ */
+function requestPriority(req) {
+    const keyPriority = req.apiKey ? (req.apiKey.priority || 'normal') : null;
+    const asked = (req.get('X-Priority') || '').trim().toLowerCase();
+    if (!PRIORITIES.includes(asked)) return keyPriority || 'normal';
+    if (keyPriority && PRIORITIES.indexOf(asked) < PRIORITIES.indexOf(keyPriority)) return keyPriority;
+    return asked;
+}
+
+function chatOptions(req, res) {
+    return {
+        cacheMode: req.get('X-Cache-Mode') || null,
+        signal: clientSignal(res),
+        priority: requestPriority(req),
+        requestId: req.id,
+        log: req.log,
+        trace: /^(1|true|yes)$/i.test(req.get('X-Trace') || ''),
+        search: requestedSearch(req.body)
+    };
+}
+
+// onQueuePosition callback for SSE responses: a comment line clients ignore
+function sseQueuePosition(res) {
+    return (position) => {
+        if (!res.writableEnded) res.write(`: queue position ${position}\n\n`);
+    };
+}
+
+module.exports = { PRIORITIES, requestPriority, chatOptions, sseQueuePosition };
@@ -0,0 +1,84 @@
+/**
+ * Per-request web search options, for providers that search (Perplexity).
+ * Clients send OpenAI-style "web_search_options" or a "perplexity" object;
+ * both take the same keys and "perplexity" wins where both set one:
+ *
+ *   "perplexity": {
+ *     "focus": "academic",                                    // or a list of FOCUS
+ *     "mode": "research",                                     // one of MODES
+ *     "search_domain_filter": ["nature.com", "-reddit.com"],  // "-" excludes a domain
+ *     "search_recency_filter": "week"                         // one of RECENCY
+ *   }
+ *
+ * Focus and mode are set in the site's own controls by the provider. The
+ * site has no controls for domains and recency, so those are appended to the
+ * query as search operators (see searchOperators).
+ */
+
+const FOCUS = ['web', 'academic', 'social', 'finance'];
+const MODES = ['search', 'pro', 'research'];
+const RECENCY = { day: 1, week: 7, month: 31, year: 365 }; // → days back
+const MAX_DOMAINS = 20;
+
+const DOMAIN = /^[a-z0-9-]+(\.[a-z0-9-]+)+$/i;
+
+// The search options a request body asked for, merged, or null
+function requestedSearch(body) {
+    const asked = [body && body.web_search_options, body && body.perplexity].filter(o => o && typeof o === 'object');
+    return asked.length ? Object.assign({}, ...asked) : null;
+}
+
+const invalid = (param, message) => ({ error: { param, message, code: 'invalid_search_options' } });
+
+/**
+ * Validates requestedSearch() output into { search: { focus, mode,
+ * includeDomains, excludeDomains, recency } } (search is null when nothing
+ * was asked), or { error: { param, message, code } }.
+ */
+function parseSearchOptions(raw) {
+    if (!raw) return { search: null };
+    const { focus = null, mode = null, search_domain_filter: domains = [], search_recency_filter: recency = null } = raw;
+
+    const focusList = focus === null ? null : [].concat(focus);
+    if (focusList && (focusList.length === 0 || !focusList.every(f => FOCUS.includes(f)))) {
+        return invalid('focus', `focus must be one or more of: ${FOCUS.join(', ')}`);
+    }
+    if (mode !== null && !MODES.includes(mode)) {
+        return invalid('mode', `mode must be one of: ${MODES.join(', ')}`);
+    }
+    if (!Array.isArray(domains) || domains.length > MAX_DOMAINS) {
+        return invalid('search_domain_filter', `search_domain_filter must be a list of at most ${MAX_DOMAINS} domains`);
+    }
+    const includeDomains = [], excludeDomains = [];
+    for (const entry of domains) {
+        const domain = typeof entry === 'string' ? entry.trim().toLowerCase().replace(/^-/, '') : '';
+        if (!DOMAIN.test(domain)) return invalid('search_domain_filter', `Not a domain: ${JSON.stringify(entry)}`);
+        (entry.trim().startsWith('-') ? excludeDomains : includeDomains).push(domain);
+    }
+    if (recency !== null && !Object.hasOwn(RECENCY, recency)) {
+        return invalid('search_recency_filter', `search_recency_filter must be one of: ${Object.keys(RECENCY).join(', ')}`);
+    }
+
+    const search = { focus: focusList, mode, includeDomains, excludeDomains, recency };
+    const empty = !focusList && !mode && !includeDomains.length && !excludeDomains.length && !recency;
+    return { search: empty ? null : search };
+}
+
+/**
+ * Search operators for the domain and recency filters, e.g.
+ * "(site:nature.com OR site:science.org) -site:reddit.com after:2026-10-12",
+ * or '' when there are none.
+ */
+function searchOperators({ includeDomains, excludeDomains, recency }, now = new Date()) {
+    const parts = [];
+    if (includeDomains.length === 1) parts.push(`site:${includeDomains[0]}`);
+    if (includeDomains.length > 1) parts.push(`(${includeDomains.map(d => `site:${d}`).join(' OR ')})`);
+    excludeDomains.forEach(d => parts.push(`-site:${d}`));
+    if (recency) {
+        const since = new Date(now.getTime() - RECENCY[recency] * 24 * 60 * 60 * 1000);
+        parts.push(`after:${since.toISOString().slice(0, 10)}`);
+    }
+    return parts.join(' ');
+}
+
+module.exports = { FOCUS, MODES, RECENCY, requestedSearch, parseSearchOptions, searchOperators };
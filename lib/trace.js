@@ -0,0 +1,216 @@
+/**
+ * Per-request debug trace bundles.
+ *
+ * A bundle is one directory under TRACE_DIR holding everything needed to see
+ * why a query went wrong after the fact:
+ *
+ *   trace.json             request, timings of each phase, extraction results
+ *                          over time, final status or error
+ *   01-navigated.html/.png  page HTML and screenshot at each phase
+ *   dom-analysis.json      whatever the provider attached (e.g. Gemini's DOM scan)
+ *
+ * TRACE_MODE decides which requests get a bundle:
+ *   off      never (default)
+ *   request  only requests sending "X-Trace: true"
+ *   errors   every request is recorded, bundles of successful ones are dropped
+ *   always   every request
+ *
+ * Bundles older than `ttl` or beyond the newest `maxBundles` are deleted.
+ * Code that records traces always gets a trace object; when the request isn't
+ * recorded it's NO_TRACE, whose methods do nothing.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const MODES = ['off', 'request', 'errors', 'always'];
+const MANIFEST = 'trace.json';
+
+const NO_TRACE = {
+    id: null,
+    recording: false,
+    mark() {},
+    extraction() {},
+    async snapshot() {},
+    attach() {},
+    finish() {}
+};
+
+// Bundle ids and file names become paths, so keep them to a safe alphabet
+function safeName(value) {
+    return String(value).replace(/[^\w.-]/g, '_');
+}
+
+// A name from a client that is already safe and stays inside its directory
+function isSafeName(value) {
+    return safeName(value) === value && value !== '.' && value !== '..';
+}
+
+// Keeps bundle ids short enough to fit a tar entry's prefix field
+const MAX_ID_REQUEST_ID = 64;
+
+/**
+ * Returns { mode, start, list, get, file, archive, prune }.
+ * start({ requestId, backend, model, requested }) → trace object.
+ */
+function createTraceStore({ dir, mode = 'off', ttl, maxBundles }) {
+    if (!MODES.includes(mode)) mode = 'off';
+
+    function bundleDir(id) {
+        if (!isSafeName(id)) return null;
+        const resolved = path.join(dir, id);
+        return fs.existsSync(path.join(resolved, MANIFEST)) ? resolved : null;
+    }
+
+    function prune() {
+        if (!fs.existsSync(dir)) return;
+        const bundles = fs.readdirSync(dir)
+            .map(name => ({ name, mtime: fs.statSync(path.join(dir, name)).mtimeMs }))
+            .sort((a, b) => b.mtime - a.mtime);
+        bundles.forEach((bundle, i) => {
+            if (i >= maxBundles || Date.now() - bundle.mtime > ttl) {
+                fs.rmSync(path.join(dir, bundle.name), { recursive: true, force: true });
+            }
+        });
+    }
+
+    function start({ requestId, backend, model, requested = false }) {
+        if (mode === 'off' || (mode === 'request' && !requested)) return NO_TRACE;
+
+        const started = Date.now();
+        const id = `${new Date(started).toISOString().replace(/[:.]/g, '-')}_${safeName(requestId).slice(0, MAX_ID_REQUEST_ID)}_${backend}`;
+        const bundle = path.join(dir, id);
+        fs.mkdirSync(bundle, { recursive: true });
+
+        const timeline = [];    // { phase, ms, ...fields }
+        const extractions = []; // { ms, chars, finished, strategy, text }, recorded when the result changes
+        let snapshots = 0;
+
+        const elapsed = () => Date.now() - started;
+        const write = (name, data) => {
+            try { fs.writeFileSync(path.join(bundle, safeName(name)), data); } catch { /* tracing must never fail a query */ }
+        };
+
+        return {
+            id,
+            recording: true,
+
+            mark(phase, fields = {}) {
+                timeline.push({ phase, ms: elapsed(), ...fields });
+            },
+
+            extraction(ext) {
+                const prev = extractions[extractions.length - 1];
+                const text = ext.answerText || '';
+                if (prev && prev.text === text && prev.finished === !!ext.finished) return;
+                extractions.push({ ms: elapsed(), chars: text.length, finished: !!ext.finished, strategy: ext.strategy || null, text });
+            },
+
+            // HTML and a screenshot of the page as it is now
+            async snapshot(phase, page) {
+                const name = `${String(++snapshots).padStart(2, '0')}-${safeName(phase)}`;
+                timeline.push({ phase, ms: elapsed(), snapshot: name });
+                try { write(`${name}.html`, await page.content()); } catch { /* page may be closed */ }
+                try { write(`${name}.png`, await page.screenshot()); } catch { /* page may be closed */ }
+            },
+
+            attach(name, data) {
+                write(name, typeof data === 'string' || Buffer.isBuffer(data) ? data : JSON.stringify(data, null, 2));
+            },
+
+            // Writes the manifest; in errors mode a successful unrequested trace is dropped
+            finish({ error = null, result = null } = {}) {
+                if (mode === 'errors' && !error && !requested) {
+                    fs.rmSync(bundle, { recursive: true, force: true });
+                    return;
+                }
+                write(MANIFEST, JSON.stringify({
+                    id, requestId, backend, model,
+                    started: new Date(started).toISOString(),
+                    durationMs: elapsed(),
+                    status: error ? 'error' : (result && result.partial ? 'partial' : 'ok'),
+                    error: error ? { name: error.name, message: error.message } : null,
+                    url: result ? result.url : null,
+                    timeline,
+                    extractions
+                }, null, 2));
+                prune();
+            }
+        };
+    }
+
+    function list() {
+        if (!fs.existsSync(dir)) return [];
+        return fs.readdirSync(dir).filter(name => bundleDir(name)).sort().reverse().map(name => {
+            const { id, requestId, backend, model, started, durationMs, status, error } = get(name);
+            return { id, requestId, backend, model, started, durationMs, status, error: error && error.message };
+        });
+    }
+
+    // Manifest plus the bundle's file names, or null
+    function get(id) {
+        const bundle = bundleDir(id);
+        if (!bundle) return null;
+        const manifest = JSON.parse(fs.readFileSync(path.join(bundle, MANIFEST), 'utf8'));
+        return { ...manifest, files: fs.readdirSync(bundle).sort() };
+    }
+
+    // Absolute path of one file in a bundle, or null
+    function file(id, name) {
+        const bundle = bundleDir(id);
+        if (!bundle || !isSafeName(name)) return null;
+        const resolved = path.join(bundle, name);
+        return fs.existsSync(resolved) ? resolved : null;
+    }
+
+    // The whole bundle as a tar archive, or null
+    function archive(id) {
+        const bundle = bundleDir(id);
+        if (!bundle) return null;
+        return tarball(fs.readdirSync(bundle).sort().map(name => ({
+            name: `${id}/${name}`,
+            data: fs.readFileSync(path.join(bundle, name))
+        })));
+    }
+
+    if (mode !== 'off') prune();
+    return { mode, start, list, get, file, archive, prune };
+}
+
+// Splits a path into ustar's name (100 bytes) and prefix (155 bytes) fields
+function ustarName(name) {
+    if (Buffer.byteLength(name) <= 100) return { name, prefix: '' };
+    const slash = name.lastIndexOf('/', 155);
+    if (slash > 0 && Buffer.byteLength(name.slice(slash + 1)) <= 100) {
+        return { name: name.slice(slash + 1), prefix: name.slice(0, slash) };
+    }
+    throw new Error(`Path too long for a tar entry: ${name}`);
+}
+
+// Minimal ustar writer: regular files only, paths split into prefix and name
+function tarball(files) {
+    const blocks = [];
+    for (const { name, data } of files) {
+        const header = Buffer.alloc(512);
+        const field = (value, offset, length) => header.write(value, offset, length, 'ascii');
+        const octal = (value, length) => value.toString(8).padStart(length - 1, '0') + '\0';
+        const entry = ustarName(name);
+        field(entry.name, 0, 100);
+        field(octal(0o644, 8), 100, 8);
+        field(octal(0, 8), 108, 8);
+        field(octal(0, 8), 116, 8);
+        field(octal(data.length, 12), 124, 12);
+        field(octal(Math.floor(Date.now() / 1000), 12), 136, 12);
+        field('        ', 148, 8); // checksum is computed with this field blank
+        field('0', 156, 1);
+        field('ustar\0' + '00', 257, 8);
+        field(entry.prefix, 345, 155);
+        const checksum = header.reduce((sum, byte) => sum + byte, 0);
+        field(checksum.toString(8).padStart(6, '0') + '\0 ', 148, 8);
+        blocks.push(header, data, Buffer.alloc((512 - (data.length % 512)) % 512));
+    }
+    blocks.push(Buffer.alloc(1024));
+    return Buffer.concat(blocks);
+}
+
+module.exports = { createTraceStore, NO_TRACE, MODES };
@@ -0,0 +1,132 @@
+/**
+ * Shared page helpers for provider modules.
+ */
+
+const sleep = ms => new Promise(r => setTimeout(r, ms));
+
+function isVisible(element, checkOpacity) {
+    return element.evaluate((el, opacity) => {
+        el.scrollIntoView({ behavior: 'instant', block: 'center' });
+        const rect = el.getBoundingClientRect();
+        const style = window.getComputedStyle(el);
+        return style.display !== 'none'
+            && style.visibility !== 'hidden'
+            && (!opacity || style.opacity !== '0')
+            && rect.height > 0
+            && rect.width > 0;
+    }, checkOpacity);
+}
+
+/**
+ * Finds the first visible element matching any of `selectors` (in order),
+ * focuses it, clears it and inserts `text` via CDP (much faster than typing).
+ * Returns false when no visible input was found.
+ */
+async function fillInput(page, selectors, text, { checkOpacity = false } = {}) {
+    for (const selector of selectors) {
+        try {
+            const elements = await page.$$(selector);
+            for (const element of elements) {
+                if (!(await isVisible(element, checkOpacity))) continue;
+
+                await element.click();
+                await sleep(300);
+                await page.keyboard.down('Control');
+                await page.keyboard.press('a');
+                await page.keyboard.up('Control');
+                await page.keyboard.press('Backspace');
+                await sleep(200);
+
+                const client = await page.createCDPSession();
+                await client.send('Input.insertText', { text });
+                await client.detach();
+                await sleep(500);
+                return true;
+            }
+        } catch { continue; }
+    }
+    return false;
+}
+
+// { selector, element } of the first visible match of `selectors`, or null
+async function firstVisible(page, selectors, checkOpacity = false) {
+    for (const selector of selectors) {
+        try {
+            for (const element of await page.$$(selector)) {
+                if (await isVisible(element, checkOpacity)) return { selector, element };
+            }
+        } catch { continue; }
+    }
+    return null;
+}
+
+/**
+ * The first of `selectors` (in order) that matches a visible element, or
+ * null. Same visibility rules as fillInput, without touching the page.
+ */
+async function findVisible(page, selectors, { checkOpacity = false } = {}) {
+    const found = await firstVisible(page, selectors, checkOpacity);
+    return found ? found.selector : null;
+}
+
+/**
+ * Chooses a model in the site's model menu: opens the first visible
+ * `sel.modelPicker`, clicks the `sel.modelOption` whose label (first line)
+ * matches `match`, a case-insensitive regex source, then checks that it took.
+ * Resolves to the active model's label once verified — from the picker's
+ * own text, or the checked option when the picker only shows an icon — and
+ * to null when there is no picker, no such option or the choice didn't stick.
+ */
+async function pickModel(page, sel, match) {
+    const pattern = new RegExp(match, 'i');
+    const picker = await firstVisible(page, sel.modelPicker, false);
+    if (!picker) return null;
+
+    const pickerLabel = () => picker.element.evaluate(el => (el.innerText || '').trim().split('\n')[0]).catch(() => '');
+    const openMenu = async () => {
+        await picker.element.click();
+        await page.waitForSelector(sel.modelOption.join(', '), { visible: true, timeout: 5000 }).catch(() => {});
+    };
+    const closeMenu = async () => {
+        if (await findVisible(page, sel.modelOption)) await page.keyboard.press('Escape');
+    };
+    // Label of the first enabled option matching `source` (clicked when asked),
+    // or of the checked one when `source` is null
+    const option = (click, source) => page.evaluate((optionSels, click, source) => {
+        const labelOf = el => (el.innerText || el.textContent || '').trim().split('\n')[0];
+        const isChecked = el => el.getAttribute('aria-checked') === 'true' || el.getAttribute('aria-selected') === 'true' ||
+            el.getAttribute('data-state') === 'checked' || el.classList.contains('is-selected');
+        const found = Array.from(document.querySelectorAll(optionSels.join(', ')))
+            .filter(el => el.getAttribute('aria-disabled') !== 'true')
+            .find(el => (source ? new RegExp(source, 'i').test(labelOf(el)) : isChecked(el)));
+        if (!found) return null;
+        if (click) found.click();
+        return labelOf(found);
+    }, sel.modelOption, click, source);
+
+    let label = await pickerLabel();
+    if (pattern.test(label)) return label; // already active
+
+    await openMenu();
+    const clicked = await option(true, match);
+    await sleep(1000);
+    await closeMenu();
+    if (!clicked) return null;
+
+    label = await pickerLabel();
+    if (pattern.test(label)) return label;
+    await openMenu();
+    label = await option(false, null);
+    await closeMenu();
+    return label && pattern.test(label) ? label : null;
+}
+
+// Tag answer nodes already on the page (previous turns of a thread) so the
+// extractors only look at what the provider renders for the new turn.
+async function markSeenAnswers(page, selectors) {
+    await page.evaluate((sels) => {
+        document.querySelectorAll(sels.join(', ')).forEach(el => el.setAttribute('data-llm-seen', '1'));
+    }, selectors);
+}
+
+module.exports = { sleep, fillInput, firstVisible, findVisible, pickModel, markSeenAnswers };
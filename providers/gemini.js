@@ -0,0 +1,239 @@
+/**
+ * Gemini provider — queries gemini.google.com using the signed-in browser profile.
+ *
+ * Completion detection follows Gemini's own custom elements: `pending-response`
+ * exists while the answer is generating, `model-response` once it's done.
+ * "gemini-pro" and "gemini-flash" switch the mode picker next to the input.
+ * All selectors live in selectors.json under "gemini".
+ */
+
+const { sleep, fillInput, pickModel } = require('./common');
+const { ensureMarkdown } = require('./markdown');
+const { redact } = require('../lib/logger');
+const { selectors } = require('./selectors');
+
+const URL = 'https://gemini.google.com/app';
+const CHECK_INPUT_OPACITY = true; // a transparent input doesn't count as visible
+
+// Picker labels: "2.5 Pro" / "2.5 Flash", or "Pro" / "Fast" in newer layouts
+const VARIANTS = {
+    pro: { label: 'Gemini Pro', match: '^(gemini )?([\\d.]+ )?pro\\b' },
+    flash: { label: 'Gemini Flash', match: '^(gemini )?([\\d.]+ )?(flash|fast)\\b' }
+};
+
+async function navigate(page, { threadUrl = null } = {}) {
+    await page.goto(threadUrl || URL, { waitUntil: 'networkidle2', timeout: 60000 });
+    await sleep(2000);
+
+    // Dismiss any initial dialogs
+    await page.evaluate((dismiss) => {
+        dismiss.forEach(sel => {
+            const btn = document.querySelector(sel);
+            if (btn) btn.click();
+        });
+    }, selectors('gemini').dismiss);
+    await sleep(500);
+}
+
+async function submit(page, query) {
+    await sleep(2000);
+    await page.evaluate(() => window.scrollTo(0, document.body.scrollHeight));
+    await sleep(500);
+
+    const sel = selectors('gemini');
+    if (!(await fillInput(page, sel.input, query, { checkOpacity: CHECK_INPUT_OPACITY }))) return false;
+
+    // Try send button first, then any button labelled like one, fallback to Enter
+    const sendClicked = await page.evaluate((send, sendFallback) => {
+        for (const sel of send) {
+            const btn = document.querySelector(sel);
+            if (btn) { (btn.closest('button') || btn).click(); return true; }
+        }
+        for (const sel of sendFallback) {
+            const btn = document.querySelector(sel);
+            if (btn) { btn.click(); return true; }
+        }
+        return false;
+    }, sel.send, sel.sendFallback);
+    if (!sendClicked) await page.keyboard.press('Enter');
+    return true;
+}
+
+function selectModel(page, variant) {
+    return pickModel(page, selectors('gemini'), VARIANTS[variant].match);
+}
+
+/**
+ * Waits for Gemini to acknowledge the prompt (pending-response appears) and
+ * records a snapshot plus an analysis of Gemini's response elements in the
+ * request's trace. Used by the runner instead of its fixed initial sleep.
+ */
+async function awaitStart(page, { log, trace }) {
+    const sel = selectors('gemini');
+    try {
+        await page.waitForSelector(sel.pending, { timeout: 60000 });
+        log.info('Generation started (pending-response detected)');
+    } catch {
+        log.warn('pending-response not seen within 60s, continuing anyway');
+    }
+
+    // Snapshot of the DOM during early generation, for diagnostics
+    try {
+        await trace.snapshot('generation-started', page);
+        const domAnalysis = await page.evaluate((tags) => {
+            const results = [];
+            for (const tag of tags) {
+                document.querySelectorAll(tag).forEach((el, i) => {
+                    const preview = (el.innerText || el.textContent || '').trim().slice(0, 80).replace(/\n/g, ' ');
+                    results.push({ element: `${tag}[${i}]`, preview });
+                });
+            }
+            return results;
+        }, sel.domAnalysis);
+        trace.attach('dom-analysis.json', domAnalysis);
+        // user-query holds the prompt itself
+        log.debug('DOM analysis', {
+            elements: domAnalysis.map(e => (sel.userQuery.some(q => e.element.startsWith(q)) ? { ...e, preview: redact(e.preview) } : e))
+        });
+    } catch { /* non-fatal */ }
+}
+
+async function extract(page, { query = '' } = {}) {
+    await ensureMarkdown(page);
+    return page.evaluate((inputQuery, sel) => {
+        // Nodes tagged by the runner belong to earlier turns of this chat
+        const unseen = el => !el.hasAttribute('data-llm-seen') && !el.closest(`${sel.response}[data-llm-seen]`);
+        const inUserQuery = el => sel.userQuery.some(q => el.closest(q));
+
+        const toText = el => (window.__llmToMarkdown ? window.__llmToMarkdown(el) : (el.innerText || el.textContent || '')).trim();
+
+        // ── Helper: get cleaned text from an element, stripping UI chrome ──
+        function cleanText(el) {
+            const clone = el.cloneNode(true);
+            // Remove screen-reader-only / visually-hidden nodes (e.g. "You said" spans)
+            // NOTE: do NOT strip [aria-hidden="true"] broadly — it also covers real content nodes
+            clone.querySelectorAll(sel.uiChrome.join(', ')).forEach(c => c.remove());
+            return toText(clone);
+        }
+
+        // ── Detect if model-response element exists (generation complete signal) ──
+        const modelResponses = Array.from(document.querySelectorAll(sel.response)).filter(unseen);
+        const modelResponseExists = modelResponses.length > 0;
+
+        // ── Strategy 1: model-response (appears when Gemini finishes generating) ──
+        // This is the most reliable selector for the final answer.
+        let answerText = '';
+        let strategy = null;
+        const take = (t, name) => { if (t.length > answerText.length) { answerText = t; strategy = name; } };
+
+        if (modelResponseExists) {
+            const modelEls = Array.from(document.querySelectorAll(sel.final.join(', '))).filter(unseen);
+            if (modelEls.length > 0) take(cleanText(modelEls[modelEls.length - 1]), 'model-response');
+            if (answerText.length < 30) take(cleanText(modelResponses[modelResponses.length - 1]), 'model-response');
+        }
+
+        // ── Strategy 2: response-container-content (live content area during streaming) ──
+        // The actual div where Gemini streams response text before model-response appears.
+        if (answerText.length < 30) {
+            const contentEls = Array.from(document.querySelectorAll(sel.streaming.join(', '))).filter(unseen);
+            for (const el of contentEls) {
+                // Only pick elements that are inside pending-response (not user-query)
+                if (inUserQuery(el)) continue;
+                take(cleanText(el), 'response-container');
+            }
+        }
+
+        // ── Strategy 3: message-content / markdown-main-panel ──
+        if (answerText.length < 30) {
+            for (const panel of sel.panels) {
+                const els = Array.from(document.querySelectorAll(panel))
+                    .filter(unseen)
+                    .filter(el => !inUserQuery(el));
+                if (els.length > 0) take(cleanText(els[els.length - 1]), 'message-content');
+            }
+        }
+
+        // ── Strategy 4: broad markdown fallback, strictly skipping user containers ──
+        if (answerText.length < 30) {
+            const els = Array.from(document.querySelectorAll(sel.fallback.join(', ')))
+                .filter(unseen)
+                .filter(el => !inUserQuery(el) && !sel.editor.some(e => el.closest(e)));
+            for (const el of els) take(cleanText(el), 'markdown-fallback');
+        }
+
+        // ── Strategy 5: last-resort — grab model-response raw innerText ──
+        // For fast responses where DOM structure differs from the expected layout
+        if (answerText.length < 30 && modelResponseExists) {
+            // Clone and only strip the "You said" visually-hidden span
+            const clone = modelResponses[modelResponses.length - 1].cloneNode(true);
+            clone.querySelectorAll(sel.rawChrome.join(', ')).forEach(c => c.remove());
+            take(toText(clone), 'model-response-raw');
+        }
+
+        // ── Echo guard: discard text that is the user's query echoed back ──
+        if (inputQuery && answerText) {
+            const norm = s => s.replace(/\s+/g, ' ').trim().toLowerCase();
+            const normAnswer = norm(answerText);
+            const normQuery = norm(inputQuery);
+            if (
+                normAnswer === normQuery ||
+                normAnswer.startsWith(normQuery.slice(0, 120)) ||
+                normAnswer.startsWith('you said ' + normQuery.slice(0, 100)) ||
+                normAnswer.replace(/^you said\s*/i, '').startsWith(normQuery.slice(0, 120))
+            ) {
+                answerText = '';
+                strategy = null;
+            }
+        }
+
+        // ── Detect if still generating ──
+        // pending-response exists = Gemini still generating
+        // model-response exists  = Gemini done generating
+        const stillGenerating = !!document.querySelector(sel.pending);
+
+        const prevLen = parseInt(document.body.getAttribute('data-prev-len') || '0');
+        document.body.setAttribute('data-prev-len', String(answerText.length));
+        const isGrowing = answerText.length > prevLen && prevLen > 0;
+
+        return {
+            answerText,
+            sources: [],
+            strategy,
+            isLoading: stillGenerating || isGrowing,
+            // model-response present means Gemini is done, even if extraction came up empty
+            finished: modelResponseExists && !stillGenerating
+        };
+    }, query, selectors('gemini'));
+}
+
+// Stable for 2 polls once model-response exists, 5 polls otherwise, or 10 polls regardless
+function isComplete(ext, { stableCount }) {
+    const doneThreshold = ext.finished ? 2 : 5;
+    return (!ext.isLoading && stableCount >= doneThreshold) || stableCount >= 10;
+}
+
+module.exports = {
+    name: 'gemini',
+    label: 'Gemini',
+    owned_by: 'google',
+    url: URL,
+    aliases: [],
+    capabilities: { streaming: true, sources: false, threads: true, search: false },
+    // Uses the browser's default context, which is backed by the persistent
+    // chrome-profile directory — log in to Google once and it sticks.
+    persistentSession: true,
+    // Logged out, Gemini can't answer at all — /health/deep reports it down
+    requiresLogin: true,
+    // /health/deep looks for the input the way submit() does
+    inputCheckOpacity: CHECK_INPUT_OPACITY,
+    minAnswerLength: 11,
+    timeout: 300000, // Pro model can think for minutes
+    variants: VARIANTS,
+    get answerSelectors() { return selectors('gemini').seen; },
+    navigate,
+    selectModel,
+    submit,
+    awaitStart,
+    extract,
+    isComplete
+};
@@ -0,0 +1,79 @@
+/**
+ * Provider health probe, behind GET /health/deep and the background canary.
+ *
+ * Opens the provider's page the way a query would and runs these checks:
+ *
+ *   navigate   the page loads (slower than slowMs → degraded)
+ *   challenge  no bot check or captcha page (selectors challenge, challengeUrl,
+ *              challengeTitle) → down
+ *   login      no login wall (loginWall, loginUrl) → down for providers with
+ *              requiresLogin, degraded for the rest
+ *   input      a prompt input matching the provider's input selectors is
+ *              visible → down otherwise (the site changed its DOM)
+ *
+ * Resolves to { status, failed, url, checks }: status is healthy, degraded or
+ * down, failed names the first check that didn't pass (or null), and each
+ * check is { name, ok, severity, detail }.
+ */
+
+const { findVisible } = require('./common');
+const { selectors } = require('./selectors');
+
+const STATUS_RANK = { healthy: 0, degraded: 1, down: 2 };
+
+function worstStatus(statuses) {
+    return statuses.reduce((worst, status) => (STATUS_RANK[status] > STATUS_RANK[worst] ? status : worst), 'healthy');
+}
+
+function summarize(checks, url = null) {
+    const failing = checks.filter(c => !c.ok);
+    return {
+        status: worstStatus(failing.map(c => c.severity)),
+        failed: failing.length ? failing[0].name : null,
+        url,
+        checks
+    };
+}
+
+async function probeProvider(provider, page, { slowMs = 20000 } = {}) {
+    const sel = selectors(provider.name);
+    const checks = [];
+    const check = (name, ok, severity, detail = null, extra = {}) =>
+        checks.push({ name, ok, severity: ok ? null : severity, detail, ...extra });
+
+    const started = Date.now();
+    try {
+        await provider.navigate(page, {});
+    } catch (err) {
+        check('navigate', false, 'down', err.message, { ms: Date.now() - started });
+        return summarize(checks);
+    }
+    const ms = Date.now() - started;
+    check('navigate', ms <= slowMs, 'degraded', ms > slowMs ? `page took ${ms}ms to load` : null, { ms });
+
+    const state = await page.evaluate((challenge, loginWall) => ({
+        url: location.href,
+        title: document.title,
+        challenge: challenge.find(s => document.querySelector(s)) || null,
+        loginWall: loginWall.find(s => document.querySelector(s)) || null
+    }), sel.challenge || [], sel.loginWall || []);
+    const matches = (pattern, value) => !!pattern && new RegExp(pattern, 'i').test(value);
+
+    const challenge = state.challenge ? `challenge element ${state.challenge}`
+        : matches(sel.challengeUrl, state.url) ? `challenge URL ${state.url}`
+        : matches(sel.challengeTitle, state.title) ? `challenge page "${state.title}"`
+        : null;
+    check('challenge', !challenge, 'down', challenge);
+
+    const login = state.loginWall ? `login wall ${state.loginWall}`
+        : matches(sel.loginUrl, state.url) ? `redirected to login ${state.url}`
+        : null;
+    check('login', !login, provider.requiresLogin ? 'down' : 'degraded', login);
+
+    const input = await findVisible(page, sel.input, { checkOpacity: !!provider.inputCheckOpacity });
+    check('input', !!input, 'down', input ? `matched ${input}` : 'no visible element matches the input selectors');
+
+    return summarize(checks, state.url);
+}
+
+module.exports = { probeProvider, worstStatus };
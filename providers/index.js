@@ -0,0 +1,93 @@
+/**
+ * Provider registry.
+ *
+ * A provider is a plain module describing one chat website:
+ *
+ *   name           model id clients send ("perplexity", "gemini", ...)
+ *   label          human-readable name used in logs and errors
+ *   owned_by, url  surfaced through /v1/models
+ *   aliases        extra model ids that route to this provider
+ *   capabilities   { streaming, sources, threads, search }
+ *   answerSelectors  nodes to tag as already seen before a follow-up turn
+ *   minAnswerLength  (optional) shortest text that counts as an answer
+ *   timeout          (optional) per-query limit in ms, overrides the server default
+ *   persistentSession  (optional) run in the browser's default context, which is
+ *                      backed by the on-disk profile (keeps logins)
+ *   requiresLogin  (optional) a login wall means the provider is down, not
+ *                  just degraded (see ./health.js)
+ *   inputCheckOpacity  (optional) an input only counts as visible when it isn't
+ *                      transparent; submit() and ./health.js both go by it
+ *   variants       (optional) { id: { label, match } } models of the site's own
+ *                  picker, requested as "<name>-<id>"; `match` is a regex
+ *                  (case-insensitive) for the picker's label of that model
+ *
+ *   navigate(page, { threadUrl })  open the site (or an existing thread)
+ *   selectModel(page, variant)     (with variants) pick the variant in the site's
+ *                                    model menu; → the active model's label once
+ *                                    verified, or null if it didn't take
+ *   applySearch(page, search, query)  (with capabilities.search) set a request's search
+ *                                    options (lib/search.js) in the site's controls;
+ *                                    → the query to submit. Rejects with code
+ *                                    search_not_applied (status 409) when a control
+ *                                    won't take
+ *   submit(page, query)            type and send the prompt; false if no input found
+ *   awaitStart(page, { log, query, threadUrl, trace })  (optional) wait until generation
+ *                                    has started; `query` is the submitted prompt, `log` a
+ *                                    logger (lib/logger.js) bound to the request and
+ *                                    `trace` its debug trace (lib/trace.js)
+ *   extract(page, { query })       → { answerText, sources, citations, isLoading, finished }
+ *                                    `citations` locate inline [n] markers (optional)
+ *                                    `strategy` names the selector that won (optional)
+ *                                    `finished` is the page's own done signal
+ *   isComplete(ext, { stableCount, elapsed })  fallback when `finished` never
+ *                                    shows up: true after enough quiet polls
+ *
+ * The loop that drives these (re-extracting on DOM mutations) lives in ./runner.js.
+ * extract() is checked offline against saved pages in test/fixtures/<name>/
+ * (npm test); add a fixture when a site change needs an extractor fix.
+ */
+
+const providers = new Map();
+
+function register(provider) {
+    for (const key of ['name', 'navigate', 'submit', 'extract', 'isComplete']) {
+        if (!provider[key]) throw new Error(`Provider is missing "${key}"`);
+    }
+    if (provider.variants && !provider.selectModel) throw new Error(`Provider "${provider.name}" has variants but no selectModel`);
+    if (provider.capabilities && provider.capabilities.search && !provider.applySearch) throw new Error(`Provider "${provider.name}" has search but no applySearch`);
+    providers.set(provider.name, provider);
+    return provider;
+}
+
+function getProvider(name) {
+    return providers.get(name) || null;
+}
+
+function listProviders() {
+    return Array.from(providers.values());
+}
+
+/**
+ * Maps a requested model id to { provider, variant }: an exact name or alias
+ * (variant null), or "<name>-<variant>" for one of the provider's declared
+ * variants (e.g. "gemini-pro"). Null for anything else.
+ */
+function resolveModel(modelName) {
+    const model = (modelName || '').toLowerCase().trim();
+    for (const provider of providers.values()) {
+        if (model === provider.name || (provider.aliases || []).includes(model)) return { provider, variant: null };
+        const variant = model.startsWith(provider.name + '-') ? model.slice(provider.name.length + 1) : null;
+        if (variant && provider.variants && Object.hasOwn(provider.variants, variant)) return { provider, variant };
+    }
+    return null;
+}
+
+function resolveProvider(modelName) {
+    const resolved = resolveModel(modelName);
+    return resolved ? resolved.provider : null;
+}
+
+register(require('./perplexity'));
+register(require('./gemini'));
+
+module.exports = { register, getProvider, listProviders, resolveProvider, resolveModel };
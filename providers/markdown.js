@@ -0,0 +1,195 @@
+/**
+ * DOM → GitHub-flavoured Markdown, for answer extraction.
+ *
+ * innerText drops code fences, language tags, tables, list nesting, links and
+ * math. installMarkdown() runs inside the page and defines
+ * window.__llmToMarkdown(element), which the provider extractors call on their
+ * cleaned answer nodes (falling back to innerText if it is missing). It
+ * understands:
+ *
+ *   headings, paragraphs, bold/italic/strike, inline code, links, images,
+ *   nested ordered/unordered lists, blockquotes, rules, GFM tables,
+ *   <pre> code blocks (language from language-* classes, data-language or
+ *   Gemini's code-block header), KaTeX/MathJax/Gemini math → $…$ / $$…$$
+ */
+
+// Runs in the browser — must stay self-contained (no closures over Node scope)
+function installMarkdown() {
+    if (window.__llmToMarkdown) return;
+
+    const BLOCK = new Set([
+        'P', 'DIV', 'SECTION', 'ARTICLE', 'HEADER', 'FOOTER', 'MAIN', 'ASIDE',
+        'FIGURE', 'FIGCAPTION', 'DETAILS', 'SUMMARY', 'DL', 'DT', 'DD'
+    ]);
+    const SKIP = new Set([
+        'BUTTON', 'SVG', 'SCRIPT', 'STYLE', 'NOSCRIPT', 'TEMPLATE', 'MAT-ICON',
+        'INPUT', 'TEXTAREA', 'SELECT'
+    ]);
+
+    function latexOf(el) {
+        const ann = el.querySelector('annotation[encoding="application/x-tex"]');
+        if (ann) return ann.textContent.trim();
+        for (const attr of ['data-math', 'data-latex', 'data-tex']) {
+            if (el.hasAttribute(attr)) return el.getAttribute(attr).trim();
+        }
+        const script = el.querySelector('script[type^="math/tex"]');
+        return script ? script.textContent.trim() : null;
+    }
+
+    function isDisplayMath(el) {
+        return el.classList.contains('katex-display') || el.classList.contains('math-block')
+            || el.getAttribute('display') === 'true' || el.tagName === 'MJX-CONTAINER' && el.getAttribute('display') === 'block';
+    }
+
+    function isMath(el) {
+        return el.classList.contains('katex') || el.classList.contains('katex-display')
+            || el.classList.contains('math-inline') || el.classList.contains('math-block')
+            || el.tagName === 'MJX-CONTAINER' || el.tagName === 'MATH';
+    }
+
+    function codeLanguage(pre) {
+        const code = pre.querySelector('code') || pre;
+        for (const cls of [...code.classList, ...pre.classList]) {
+            const m = cls.match(/^(?:language|lang)-(.+)$/);
+            if (m) return m[1];
+        }
+        const attr = code.getAttribute('data-language') || pre.getAttribute('data-language');
+        if (attr) return attr.trim().toLowerCase();
+        // Gemini renders the language as a label above the <pre>
+        const block = pre.closest('code-block, [class*="code-block"]');
+        const label = block && block.querySelector('.code-block-decoration, [class*="code-block-decoration"]');
+        if (!label) return '';
+        const text = Array.from(label.childNodes).filter(n => n.nodeName !== 'BUTTON').map(n => n.textContent).join(' ');
+        return (text.trim().toLowerCase().split(/\s+/)[0]) || '';
+    }
+
+    // Wrap inline content in a marker, keeping surrounding whitespace outside it
+    function wrap(text, mark) {
+        const m = text.match(/^(\s*)([\s\S]*?)(\s*)$/);
+        return m[2] ? m[1] + mark + m[2] + mark + m[3] : text;
+    }
+
+    function isBlock(node) {
+        return !!node && node.nodeType === Node.ELEMENT_NODE
+            && (BLOCK.has(node.tagName) || /^(H[1-6]|UL|OL|LI|PRE|TABLE|BLOCKQUOTE|HR|CODE-BLOCK)$/.test(node.tagName));
+    }
+
+    function tidy(text) {
+        return text
+            .replace(/[ \t]+\n/g, '\n')
+            .replace(/\n{3,}/g, '\n\n')
+            .trim();
+    }
+
+    function children(el, ctx) {
+        return Array.from(el.childNodes).map(c => convert(c, ctx)).join('');
+    }
+
+    function fence(pre, ctx) {
+        const code = (pre.querySelector('code') || pre).textContent.replace(/\n$/, '');
+        const longest = Math.max(2, ...(code.match(/`+/g) || []).map(t => t.length));
+        const ticks = '`'.repeat(longest + 1);
+        // Stash the code so later whitespace tidying can't touch it
+        ctx.blocks.push(ticks + codeLanguage(pre) + '\n' + code + '\n' + ticks);
+        return `\n\n\u0000${ctx.blocks.length - 1}\u0000\n\n`;
+    }
+
+    function list(el, ctx) {
+        const ordered = el.tagName === 'OL';
+        let n = parseInt(el.getAttribute('start') || '1', 10);
+        const inner = { ...ctx, listDepth: (ctx.listDepth || 0) + 1 };
+        const items = Array.from(el.children).filter(c => c.tagName === 'LI').map(li => {
+            const marker = ordered ? `${n++}. ` : '- ';
+            const indent = ' '.repeat(marker.length);
+            const body = tidy(children(li, inner));
+            return marker + body.split('\n').map((line, i) => (i === 0 || !line ? line : indent + line)).join('\n');
+        });
+        // Nested lists hug their parent item; top-level lists are their own block
+        return ctx.listDepth ? '\n' + items.join('\n') + '\n' : '\n\n' + items.join('\n') + '\n\n';
+    }
+
+    function table(el, ctx) {
+        const rows = Array.from(el.querySelectorAll('tr')).filter(tr => tr.closest('table') === el);
+        if (rows.length === 0) return '';
+        const cells = rows.map(tr => Array.from(tr.children)
+            .filter(c => c.tagName === 'TD' || c.tagName === 'TH')
+            .map(c => tidy(children(c, ctx)).replace(/\n+/g, ' ').replace(/\|/g, '\\|')));
+        const width = Math.max(...cells.map(r => r.length));
+        const line = r => '| ' + Array.from({ length: width }, (_, i) => r[i] || '').join(' | ') + ' |';
+        const separator = '| ' + Array(width).fill('---').join(' | ') + ' |';
+        return '\n\n' + [line(cells[0]), separator, ...cells.slice(1).map(line)].join('\n') + '\n\n';
+    }
+
+    function convert(node, ctx) {
+        if (node.nodeType === Node.TEXT_NODE) {
+            // Source-formatting whitespace between blocks isn't content
+            if (!node.textContent.trim() && (isBlock(node.previousSibling) || isBlock(node.nextSibling))) return '';
+            return node.textContent.replace(/\s+/g, ' ');
+        }
+        if (node.nodeType !== Node.ELEMENT_NODE) return '';
+        const el = node;
+        const tag = el.tagName.toUpperCase();
+        if (SKIP.has(tag)) return '';
+
+        if (isMath(el)) {
+            const tex = latexOf(el);
+            if (tex !== null) return isDisplayMath(el) ? `\n\n$$\n${tex}\n$$\n\n` : `$${tex}$`;
+        }
+
+        const heading = tag.match(/^H([1-6])$/);
+        if (heading) return '\n\n' + '#'.repeat(+heading[1]) + ' ' + children(el, ctx).trim() + '\n\n';
+
+        switch (tag) {
+            case 'STRONG': case 'B': return wrap(children(el, ctx), '**');
+            case 'EM': case 'I': return wrap(children(el, ctx), '*');
+            case 'DEL': case 'S': return wrap(children(el, ctx), '~~');
+            case 'CODE': {
+                const text = el.textContent;
+                const ticks = text.includes('`') ? '``' : '`';
+                return text ? `${ticks}${ticks.length > 1 ? ' ' : ''}${text}${ticks.length > 1 ? ' ' : ''}${ticks}` : '';
+            }
+            case 'PRE': return fence(el, ctx);
+            case 'CODE-BLOCK': {
+                const pre = el.querySelector('pre');
+                return pre ? fence(pre, ctx) : children(el, ctx);
+            }
+            case 'A': {
+                const text = children(el, ctx).trim();
+                const href = el.getAttribute('href') || '';
+                if (!text) return '';
+                if (!href || href.startsWith('#') || href.startsWith('javascript:')) return text;
+                return `[${text}](${el.href || href})`;
+            }
+            case 'IMG': {
+                const src = el.getAttribute('src');
+                return src ? `![${el.getAttribute('alt') || ''}](${el.src || src})` : '';
+            }
+            case 'BR': return '\n';
+            case 'HR': return '\n\n---\n\n';
+            case 'UL': case 'OL': return list(el, ctx);
+            case 'TABLE': return table(el, ctx);
+            case 'BLOCKQUOTE': {
+                const body = tidy(children(el, ctx));
+                return '\n\n' + body.split('\n').map(line => (line ? '> ' + line : '>')).join('\n') + '\n\n';
+            }
+            default:
+                return BLOCK.has(tag) ? '\n\n' + children(el, ctx).trim() + '\n\n' : children(el, ctx);
+        }
+    }
+
+    window.__llmToMarkdown = function (el) {
+        const ctx = { blocks: [], listDepth: 0 };
+        // Restore code blocks, carrying list indentation onto every line
+        return tidy(convert(el, ctx)).replace(/^([ \t]*)\u0000(\d+)\u0000/gm,
+            (_, indent, i) => ctx.blocks[+i].split('\n').map(line => indent + line).join('\n'));
+    };
+}
+
+/**
+ * Makes window.__llmToMarkdown available in the page's current document.
+ */
+async function ensureMarkdown(page) {
+    await page.evaluate(installMarkdown);
+}
+
+module.exports = { installMarkdown, ensureMarkdown };
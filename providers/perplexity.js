@@ -0,0 +1,252 @@
+/**
+ * Perplexity provider — queries perplexity.ai in a logged-out browser context,
+ * or in the persistent profile with PERPLEXITY_PERSISTENT_SESSION=true.
+ * Variants ("perplexity-sonar", ...) pick from the model menu in the input
+ * bar, which Perplexity only shows to signed-in Pro accounts, so they are
+ * only offered with the persistent session (sign in once, like Gemini).
+ * Per-request search options (lib/search.js) set the search mode and
+ * sources there too.
+ * All selectors live in selectors.json under "perplexity".
+ */
+
+const { sleep, fillInput, firstVisible, pickModel } = require('./common');
+const { ensureMarkdown } = require('./markdown');
+const { selectors } = require('./selectors');
+const { searchOperators } = require('../lib/search');
+
+const URL = 'https://www.perplexity.ai/';
+const PERSISTENT_SESSION = process.env.PERPLEXITY_PERSISTENT_SESSION === 'true';
+
+const VARIANTS = {
+    best: { label: 'Best', match: '^best\\b' },
+    sonar: { label: 'Sonar', match: '^sonar\\b' },
+    claude: { label: 'Claude Sonnet', match: '^claude\\b' },
+    gpt: { label: 'GPT', match: '^gpt' },
+    gemini: { label: 'Gemini Pro', match: '^gemini\\b' },
+    grok: { label: 'Grok', match: '^grok\\b' }
+};
+
+// How the input bar labels each search mode and source (see lib/search.js)
+const MODE_LABELS = { search: '^(quick )?search\\b', pro: '^pro( search)?\\b', research: '^(deep )?research\\b' };
+const FOCUS_LABELS = { web: '^web\\b', academic: '^academic\\b', social: '^social\\b', finance: '^finance\\b' };
+
+async function navigate(page, { threadUrl = null } = {}) {
+    await page.goto(threadUrl || URL, { waitUntil: 'networkidle2', timeout: 60000 });
+    await sleep(2000);
+}
+
+async function submit(page, query) {
+    await sleep(2000);
+    await page.evaluate(() => window.scrollTo(0, document.body.scrollHeight));
+    await sleep(500);
+
+    if (!(await fillInput(page, selectors('perplexity').input, query))) return false;
+    await page.keyboard.press('Enter');
+    return true;
+}
+
+function selectModel(page, variant) {
+    return pickModel(page, selectors('perplexity'), VARIANTS[variant].match);
+}
+
+/**
+ * Checked state of the first option matching each of `patterns` (null when
+ * there is none). With `want`, options whose state differs from want[i] are
+ * clicked first; read again after a moment to see whether it took.
+ */
+function toggleOptions(page, optionSels, patterns, want = null) {
+    return page.evaluate((optionSels, patterns, want) => {
+        const labelOf = el => (el.getAttribute('aria-label') || el.getAttribute('value') || el.innerText || el.textContent || '').trim().split('\n')[0];
+        const isChecked = el => ['aria-checked', 'aria-pressed', 'aria-selected'].some(a => el.getAttribute(a) === 'true') ||
+            ['checked', 'on'].includes(el.getAttribute('data-state'));
+        const options = Array.from(document.querySelectorAll(optionSels.join(', ')));
+        return patterns.map((source, i) => {
+            const el = options.find(o => new RegExp(source, 'i').test(labelOf(o)));
+            if (!el) return null;
+            if (want && isChecked(el) !== want[i]) el.click();
+            return isChecked(el);
+        });
+    }, optionSels, patterns, want);
+}
+
+async function setMode(page, sel, mode) {
+    const pattern = MODE_LABELS[mode];
+    if ((await toggleOptions(page, sel.modeOption, [pattern], [true]))[0] === null) return false;
+    await sleep(500);
+    return (await toggleOptions(page, sel.modeOption, [pattern]))[0] === true;
+}
+
+// Turns the requested sources on and the others off in the sources menu
+async function setFocus(page, sel, focus) {
+    const button = await firstVisible(page, sel.sourcesButton);
+    if (!button) return false;
+    const names = Object.keys(FOCUS_LABELS);
+    const patterns = names.map(name => FOCUS_LABELS[name]);
+    const want = names.map(name => focus.includes(name));
+
+    await button.element.click();
+    await page.waitForSelector(sel.sourceOption.join(', '), { visible: true, timeout: 5000 }).catch(() => {});
+    await toggleOptions(page, sel.sourceOption, patterns, want);
+    await sleep(500);
+    const state = await toggleOptions(page, sel.sourceOption, patterns);
+    await page.keyboard.press('Escape');
+    // Sources the menu doesn't offer only matter when they were asked for
+    return state.every((checked, i) => (checked === null ? !want[i] : checked === want[i]));
+}
+
+/**
+ * Applies a request's search options (lib/search.js): mode and sources in
+ * the input bar, domain and recency filters as operators after the query.
+ * Resolves to the query to submit.
+ */
+async function applySearch(page, search, query) {
+    const sel = selectors('perplexity');
+    const notApplied = (what) => {
+        const err = new Error(`Could not set ${what} on Perplexity`);
+        err.code = 'search_not_applied';
+        err.status = 409;
+        return err;
+    };
+    if (search.mode && !(await setMode(page, sel, search.mode))) throw notApplied(`${search.mode} mode`);
+    if (search.focus && !(await setFocus(page, sel, search.focus))) throw notApplied(`the ${search.focus.join(' + ')} sources`);
+    const operators = searchOperators(search);
+    return operators ? `${query}\n\n${operators}` : query;
+}
+
+// Wait until the answer area for this turn exists (a new thread URL or an
+// unseen .prose block) so we don't extract home-page or previous-turn text
+async function awaitStart(page, { log, threadUrl }) {
+    try {
+        await page.waitForFunction((followUp, answerArea) =>
+            Array.from(document.querySelectorAll(answerArea)).some(el => !el.hasAttribute('data-llm-seen')) ||
+            (!followUp && location.pathname !== '/'),
+        { timeout: 15000, polling: 'mutation' }, !!threadUrl, selectors('perplexity').answerArea);
+    } catch {
+        log.warn('Answer area not seen within 15s, continuing anyway');
+    }
+}
+
+async function extract(page) {
+    await ensureMarkdown(page);
+    return page.evaluate((sel) => {
+        const unseen = el => !el.hasAttribute('data-llm-seen');
+        const toText = el => (window.__llmToMarkdown ? window.__llmToMarkdown(el) : (el.innerText || el.textContent || '')).trim();
+
+        // Sources are numbered in order of first citation, so the inline [n]
+        // markers that replace Perplexity's badges line up with the list
+        const sources = [];
+        const sourceIndex = new Map(); // url → 1-based number
+        const addSource = (url, title) => {
+            if (!sourceIndex.has(url)) { sources.push({ title: title || url, url }); sourceIndex.set(url, sources.length); }
+            return sourceIndex.get(url);
+        };
+        const labelOf = el => el.closest('[aria-label]')?.getAttribute('aria-label') || el.textContent?.trim() || '';
+        // U+2063 fences our markers so literal "[1]" in the answer (e.g. code) isn't mistaken for one
+        const citeMarker = n => `\u2063[${n}]\u2063`;
+
+        const urlAttr = sel.citationUrlAttribute;
+
+        function numberCitations(clone) {
+            clone.querySelectorAll(sel.citationNoise.join(', ')).forEach(c => c.remove());
+            clone.querySelectorAll(sel.citation).forEach(badge => {
+                const nums = new Set();
+                for (const el of [badge, ...badge.querySelectorAll(`[${urlAttr}], ${sel.citationLink}`)]) {
+                    const url = el.getAttribute(urlAttr) || (el.tagName === 'A' ? el.href : null);
+                    if (url) nums.add(addSource(url, labelOf(el)));
+                }
+                badge.replaceWith(document.createTextNode(Array.from(nums).map(citeMarker).join('')));
+            });
+        }
+
+        const proseEls = Array.from(document.querySelectorAll(sel.answer)).filter(unseen);
+        let paragraphs = [];
+        for (const el of proseEls) {
+            const clone = el.cloneNode(true);
+            numberCitations(clone);
+            const text = toText(clone);
+            if (text.length > 5) paragraphs.push(text);
+        }
+        let answerText = paragraphs.join('\n\n');
+        let strategy = answerText ? 'prose' : null;
+
+        if (answerText.length < 30) {
+            for (const fallback of sel.fallback) {
+                const els = Array.from(document.querySelectorAll(fallback)).filter(unseen);
+                for (const el of els) {
+                    const clone = el.cloneNode(true);
+                    clone.querySelectorAll([sel.citation, ...sel.citationNoise].join(', ')).forEach(c => c.remove());
+                    const t = toText(clone);
+                    if (t.length > answerText.length) { answerText = t; strategy = fallback; }
+                }
+            }
+        }
+
+        // Remaining sources (not cited inline) follow the cited ones
+        const citationEls = Array.from(document.querySelectorAll(`[${urlAttr}]`)).filter(unseen);
+        for (const el of citationEls) {
+            const url = el.getAttribute(urlAttr);
+            if (url) addSource(url, labelOf(el));
+        }
+        if (sources.length === 0) {
+            const links = Array.from(document.querySelectorAll(sel.sourceLinks)).filter(unseen);
+            for (const a of links) {
+                const url = a.href; const title = a.textContent?.trim() || '';
+                if (url && title.length > 2 && title.length < 200) addSource(url, title);
+            }
+        }
+
+        // Swap the fenced markers for plain "[n]" and record where each one sits
+        const citations = [];
+        const markerRe = /\u2063\[(\d+)\]\u2063/g;
+        let plain = '', cursor = 0, m;
+        while ((m = markerRe.exec(answerText))) {
+            plain += answerText.slice(cursor, m.index);
+            const marker = `[${m[1]}]`;
+            citations.push({ index: +m[1], start: plain.length, end: plain.length + marker.length });
+            plain += marker;
+            cursor = m.index + m[0].length;
+        }
+        answerText = plain + answerText.slice(cursor);
+
+        const isLoading = sel.loading.some(l => document.querySelector(l));
+        // The "Stop" control is only rendered while an answer is streaming
+        const stopButton = !!document.querySelector(sel.stop);
+        const prevLen = parseInt(document.body.getAttribute('data-prev-len') || '0');
+        document.body.setAttribute('data-prev-len', String(answerText.length));
+        const isGrowing = answerText.length > prevLen && prevLen > 0;
+
+        return {
+            answerText,
+            sources,
+            citations,
+            strategy,
+            isLoading: isLoading || isGrowing || stopButton,
+            finished: proseEls.length > 0 && !isLoading && !stopButton
+        };
+    }, selectors('perplexity'));
+}
+
+// Stable for 3 polls while idle, or 8 polls regardless of spinners
+function isComplete(ext, { stableCount }) {
+    return (!ext.isLoading && stableCount >= 3) || stableCount >= 8;
+}
+
+module.exports = {
+    name: 'perplexity',
+    label: 'Perplexity',
+    owned_by: 'perplexity',
+    url: URL,
+    aliases: ['pplx'],
+    capabilities: { streaming: true, sources: true, threads: true, search: true },
+    persistentSession: PERSISTENT_SESSION,
+    // A logged-out context has no model menu to pick from
+    variants: PERSISTENT_SESSION ? VARIANTS : null,
+    get answerSelectors() { return selectors('perplexity').seen; },
+    navigate,
+    selectModel,
+    applySearch,
+    submit,
+    awaitStart,
+    extract,
+    isComplete
+};
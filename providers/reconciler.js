@@ -0,0 +1,105 @@
+/**
+ * Stream reconciler — turns successive snapshots of a rendered answer into
+ * append-only deltas.
+ *
+ * Providers don't just append: markdown gets re-rendered, badges disappear,
+ * extraction may switch to another selector. SSE can't take text back, so we
+ * only commit text that (a) survived two consecutive snapshots unchanged and
+ * (b) sits outside a trailing window that is still likely to be rewritten.
+ * If a snapshot rewrites already-committed text we hold off until the page
+ * agrees with what was sent again; flush() sends the rest of the final answer.
+ */
+
+const TAIL_WINDOW = 24; // chars at the end of a snapshot that are never committed early
+const MIN_RESYNC = 8;   // tail of the sent text long enough to locate it in a rewritten answer
+
+function commonPrefixLength(a, b) {
+    const max = Math.min(a.length, b.length);
+    let i = 0;
+    while (i < max && a.charCodeAt(i) === b.charCodeAt(i)) i++;
+    return i;
+}
+
+/**
+ * Where `sent` ends inside `final` when the two diverge at `from` (e.g. the
+ * page dropped a "[1]" badge that was already sent): just past the longest
+ * tail of the sent text found again in `final` after `from`, or `from` when no
+ * tail of MIN_RESYNC chars (or half the diverging text, if shorter) is found.
+ */
+function resyncPoint(sent, final, from) {
+    const diverged = sent.slice(from);
+    // A tail that occurs implies every shorter one does, so binary search the length
+    let low = 0, high = diverged.length, end = from;
+    while (low < high) {
+        const length = Math.floor((low + high + 1) / 2);
+        const at = final.indexOf(diverged.slice(-length), from);
+        if (at === -1) high = length - 1;
+        else { low = length; end = at + length; }
+    }
+    return low >= Math.min(MIN_RESYNC, diverged.length / 2) ? end : from;
+}
+
+/**
+ * Creates a reconciler that calls `onDelta(text)` with append-only pieces.
+ *
+ * push(snapshot)  feed the latest full answer text; may emit a delta
+ * flush(final)    emit whatever is left of the final answer and return `final`.
+ *                 When already-sent text was rewritten and never came back,
+ *                 it can't be taken back: only the part of `final` past the
+ *                 point where the sent text resyncs with it is appended
+ *                 (see resyncPoint), so `text` then differs from `final`
+ * rewrites        how many times the page rewrote text that was already sent
+ * text            everything sent so far
+ */
+function createReconciler(onDelta, { tailWindow = TAIL_WINDOW } = {}) {
+    let committed = '';
+    let previous = '';
+    let rewrites = 0;
+    let diverged = false; // the latest snapshot disagrees with what was sent
+
+    function commit(upTo, source) {
+        if (upTo <= committed.length) return;
+        const delta = source.slice(committed.length, upTo);
+        committed += delta;
+        onDelta(delta);
+    }
+
+    return {
+        push(snapshot) {
+            const agreed = commonPrefixLength(committed, snapshot);
+            if (agreed < committed.length) {
+                // Backtracking into text we've already sent — wait for the page to settle
+                if (!diverged) rewrites++;
+                diverged = true;
+                previous = snapshot;
+                return;
+            }
+            diverged = false;
+
+            // Stable part = shared with the previous snapshot, minus the tail window,
+            // snapped back to a whitespace boundary so words aren't split mid-render
+            let safeEnd = Math.min(commonPrefixLength(previous, snapshot), snapshot.length - tailWindow);
+            while (safeEnd > committed.length && !/\s/.test(snapshot[safeEnd - 1])) safeEnd--;
+            previous = snapshot;
+            commit(safeEnd, snapshot);
+        },
+
+        flush(final) {
+            if (final.startsWith(committed)) {
+                commit(final.length, final);
+                return final;
+            }
+            if (!diverged) rewrites++;
+            diverged = true;
+            const rest = final.slice(resyncPoint(committed, final, commonPrefixLength(committed, final)));
+            committed += rest;
+            if (rest) onDelta(rest);
+            return final;
+        },
+
+        get rewrites() { return rewrites; },
+        get text() { return committed; }
+    };
+}
+
+module.exports = { createReconciler, commonPrefixLength };
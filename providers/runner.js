@@ -0,0 +1,207 @@
+/**
+ * Shared query loop for all providers: navigate → select the model variant
+ * (if any) → submit → re-extract on every DOM change until the provider
+ * reports the answer finished, streaming growth through onChunk along the way.
+ *
+ * Changes are pushed from the page by a MutationObserver (see watchDom), so
+ * deltas go out as soon as the site renders them instead of on a fixed poll.
+ */
+
+const { markSeenAnswers } = require('./common');
+const { logger } = require('../lib/logger');
+const { NO_TRACE } = require('../lib/trace');
+const { createReconciler } = require('./reconciler');
+
+const FALLBACK_POLL = 1000; // re-check even without mutations (e.g. attribute-only updates)
+const SETTLE_MS = 1500;     // DOM must stay quiet this long after the provider reports done
+const THROTTLE_MS = 100;    // coalesce bursts of mutations into one notification
+
+/**
+ * Installs a MutationObserver on the page that notifies Node through an
+ * exposed binding. Returns { wait(ms, signal) } which resolves true as soon as
+ * the DOM changed since the last call, or false after `ms` without changes
+ * (or right away once `signal` aborts).
+ */
+async function watchDom(page) {
+    let dirty = false;
+    let wake = null;
+
+    await page.exposeFunction('__llmDomChanged', () => {
+        dirty = true;
+        if (wake) wake();
+    });
+    // Installed for every document the page loads, so full navigations
+    // (e.g. home page → thread URL) keep reporting changes
+    const install = (throttle) => {
+        const observe = () => {
+            let scheduled = false;
+            new MutationObserver(() => {
+                if (scheduled) return;
+                scheduled = true;
+                setTimeout(() => { scheduled = false; window.__llmDomChanged(); }, throttle);
+            }).observe(document.body, { childList: true, subtree: true, characterData: true });
+        };
+        if (document.body) observe();
+        else document.addEventListener('DOMContentLoaded', observe);
+    };
+    await page.evaluateOnNewDocument(install, THROTTLE_MS);
+
+    return {
+        wait(ms, signal = null) {
+            return new Promise(resolve => {
+                const done = () => {
+                    clearTimeout(timer);
+                    if (signal) signal.removeEventListener('abort', done);
+                    wake = null;
+                    const changed = dirty;
+                    dirty = false;
+                    resolve(changed);
+                };
+                const timer = setTimeout(done, ms);
+                if (signal) signal.addEventListener('abort', done, { once: true });
+                if (dirty || (signal && signal.aborted)) done(); else wake = done;
+            });
+        }
+    };
+}
+
+/**
+ * Runs one query on an already-open page.
+ *
+ * Resolves to { answer, sources, citations, strategy, url, partial, rewrites }.
+ * `citations` are { index, start, end } spans of the inline [n] markers (index
+ * is 1-based into sources); `strategy` is the provider's winning selector;
+ * `partial` is true when the timeout hit before the provider reported
+ * completion but some text was seen; `rewrites` counts the times the page
+ * rewrote text already streamed through onChunk (see ./reconciler.js).
+ * With `variant` the provider first switches the site's model picker to it
+ * (see providers/index.js); rejects with code model_not_selected when that
+ * can't be verified (status 409), rather than answer with the wrong model. `search`
+ * options (lib/search.js) are applied by providers that support them.
+ * Rejects when the input can't be found (code input_not_found) or nothing
+ * was extracted in time (a TimeoutError, code no_answer), and
+ * with the signal's reason as soon as `signal` aborts.
+ * `log` is the request's logger (see lib/logger.js); providers get a child
+ * of it bound to their name. `trace` (see lib/trace.js) gets a snapshot of the
+ * page at each phase and every distinct extraction result.
+ */
+async function runQuery(provider, page, query, { onChunk = null, threadUrl = null, variant = null, search = null, timeout = 120000, signal = null, log: parentLog = logger, trace = NO_TRACE } = {}) {
+    const log = parentLog.child({ backend: provider.name });
+    const checkAborted = () => {
+        if (!signal || !signal.aborted) return;
+        log.info('Cancelled by client');
+        signal.throwIfAborted();
+    };
+
+    const dom = await watchDom(page);
+    log.info('Navigating', { thread: !!threadUrl });
+    await provider.navigate(page, { threadUrl });
+    if (threadUrl && provider.answerSelectors) await markSeenAnswers(page, provider.answerSelectors);
+    await trace.snapshot('navigated', page);
+    checkAborted();
+
+    if (variant) {
+        const label = await provider.selectModel(page, variant);
+        if (!label) {
+            await trace.snapshot('model-not-selected', page);
+            const err = new Error(`Could not select the ${provider.variants[variant].label} model on ${provider.label}`);
+            err.code = 'model_not_selected';
+            err.status = 409; // the site won't take the request as asked, retrying won't help
+            throw err;
+        }
+        log.info('Model selected', { variant, label });
+        trace.mark('model-selected', { variant, label });
+        checkAborted();
+    }
+
+    let prompt = query;
+    if (search && provider.applySearch) {
+        prompt = await provider.applySearch(page, search, query);
+        log.info('Search options applied', { mode: search.mode, focus: search.focus });
+        trace.mark('search-applied', search);
+        checkAborted();
+    }
+
+    log.info('Submitting query', { query: prompt, chars: prompt.length });
+    if (!(await provider.submit(page, prompt))) {
+        await trace.snapshot('input-not-found', page);
+        const err = new Error(`Could not find input field on ${provider.label} page`);
+        err.code = 'input_not_found';
+        throw err;
+    }
+    await trace.snapshot('submitted', page);
+
+    log.debug('Waiting for answer');
+    const start = Date.now();
+    const minLength = provider.minAnswerLength || 1;
+    let last = null, stableCount = 0;
+    // Providers with a "generation started" signal wait on it before extracting
+    if (provider.awaitStart) await provider.awaitStart(page, { log, query, threadUrl, trace });
+    trace.mark('started');
+    checkAborted();
+
+    // Streamed deltas go through the reconciler so text already sent is never
+    // repeated, even when the page rewrites it
+    const stream = onChunk ? createReconciler(onChunk) : null;
+    const emit = (text) => { if (stream) stream.push(text); };
+    const finish = async (ext, partial) => {
+        await trace.snapshot(partial ? 'timeout' : 'complete', page);
+        const answer = ext.answerText;
+        if (stream) {
+            stream.flush(answer);
+            if (stream.text !== answer) log.warn('Streamed text diverged from final answer', { rewrites: stream.rewrites });
+        }
+        return {
+            answer, sources: ext.sources || [], citations: ext.citations || [], strategy: ext.strategy || null,
+            url: page.url(), partial, rewrites: stream ? stream.rewrites : 0
+        };
+    };
+
+    while (Date.now() - start < timeout) {
+        const changed = await dom.wait(FALLBACK_POLL, signal);
+        checkAborted();
+        const ext = await provider.extract(page, { query });
+        trace.extraction(ext);
+
+        if (ext.answerText && ext.answerText.length >= minLength) {
+            emit(ext.answerText);
+
+            // The page says it's done — trust it once rendering has gone quiet
+            if (ext.finished) {
+                if (await dom.wait(SETTLE_MS, signal)) { last = ext; continue; }
+                checkAborted();
+                log.info('Answer complete', { chars: ext.answerText.length, strategy: ext.strategy, ms: Date.now() - start });
+                return finish(ext, false);
+            }
+
+            // Safety net for pages that never expose a done signal: count
+            // quiet polls in which the text didn't move
+            if (!changed && last && ext.answerText === last.answerText) {
+                stableCount++;
+                if (provider.isComplete(ext, { stableCount, elapsed: Date.now() - start })) {
+                    log.info('Answer complete, text stable', { chars: ext.answerText.length, strategy: ext.strategy, ms: Date.now() - start });
+                    return finish(ext, false);
+                }
+            } else if (!last || ext.answerText !== last.answerText) {
+                stableCount = 0;
+            }
+            last = ext;
+        } else if (ext.finished && last) {
+            // Provider says it's done but extraction came up empty — keep what we had
+            log.info('Provider finished, using last extracted text', { chars: last.answerText.length, ms: Date.now() - start });
+            return finish(last, false);
+        }
+    }
+
+    if (last) {
+        log.warn('Timeout, returning partial answer', { chars: last.answerText.length, ms: timeout });
+        return finish(last, true);
+    }
+    log.warn('Timeout, no answer', { ms: timeout });
+    const err = new Error(`Timeout: no answer from ${provider.label}`);
+    err.name = 'TimeoutError';
+    err.code = 'no_answer';
+    throw err;
+}
+
+module.exports = { runQuery };
@@ -0,0 +1,84 @@
+/**
+ * Provider CSS selectors, kept out of the code in a versioned JSON file
+ * (SELECTORS_FILE, default providers/selectors.json):
+ *
+ *   { "version": 3, "gemini": { "input": [...], "pending": "pending-response", ... }, ... }
+ *
+ * The file is watched and re-read when it changes, so when a site renames an
+ * element the fix is an edit to the file — no restart, and the browser keeps
+ * its sessions. Providers call selectors(name) on every use, so a reload
+ * applies from the next query (or the next poll of a running one).
+ *
+ * A reload that fails to parse, has no integer version or drops a key the
+ * running config has is rejected and logged; the previous selectors stay.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { logger } = require('../lib/logger');
+
+const SELECTORS_FILE = process.env.SELECTORS_FILE || path.join(__dirname, 'selectors.json');
+const WATCH_INTERVAL = 2000; // ms between mtime checks
+
+let current = null; // { version, providers: { name → selectors }, loadedAt }
+
+function isSelectorValue(value) {
+    return typeof value === 'string' || (Array.isArray(value) && value.every(v => typeof v === 'string'));
+}
+
+function read() {
+    const { version, ...providers } = JSON.parse(fs.readFileSync(SELECTORS_FILE, 'utf8'));
+    if (!Number.isInteger(version)) throw new Error('"version" must be an integer');
+    for (const [name, section] of Object.entries(providers)) {
+        if (!section || typeof section !== 'object' || Array.isArray(section)) throw new Error(`"${name}" must be an object`);
+        for (const [key, value] of Object.entries(section)) {
+            if (!isSelectorValue(value)) throw new Error(`"${name}.${key}" must be a selector string or an array of them`);
+        }
+    }
+    // Providers rely on every key they had — refuse to lose one
+    if (current) {
+        for (const [name, section] of Object.entries(current.providers)) {
+            const missing = Object.keys(section).filter(key => !(providers[name] && key in providers[name]));
+            if (missing.length) throw new Error(`"${name}" is missing ${missing.join(', ')}`);
+        }
+    }
+    return { version, providers, loadedAt: new Date().toISOString() };
+}
+
+/** Re-reads the file. Returns true when the new selectors were applied. */
+function reload() {
+    try {
+        const previous = current && current.version;
+        current = read();
+        logger.info('Selectors reloaded', { file: SELECTORS_FILE, version: current.version, previous });
+        return true;
+    } catch (err) {
+        logger.error('Selector file rejected, keeping the previous selectors', { file: SELECTORS_FILE, error: err });
+        return false;
+    }
+}
+
+// First use loads the file (a broken file is fatal here) and starts watching it
+function ensureLoaded() {
+    if (current) return;
+    current = read();
+    fs.watchFile(SELECTORS_FILE, { interval: WATCH_INTERVAL }, (now, before) => {
+        if (now.mtimeMs !== before.mtimeMs) reload();
+    }).unref();
+}
+
+/** The current selectors of one provider. */
+function selectors(provider) {
+    ensureLoaded();
+    const section = current.providers[provider];
+    if (!section) throw new Error(`No selectors for provider "${provider}" in ${SELECTORS_FILE}`);
+    return section;
+}
+
+/** { file, version, loadedAt } for /health. */
+function selectorInfo() {
+    ensureLoaded();
+    return { file: SELECTORS_FILE, version: current.version, loadedAt: current.loadedAt };
+}
+
+module.exports = { selectors, selectorInfo, reload };
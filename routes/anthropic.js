@@ -0,0 +1,149 @@
+/**
+ * Anthropic Messages API compatible endpoint.
+ *
+ *   POST /v1/messages
+ *
+ * Translates Anthropic requests (top-level `system`, content blocks) into the
+ * shared chat pipeline and answers with Anthropic-shaped messages, stream
+ * events (message_start → content_block_delta … → message_stop) and errors,
+ * so Anthropic-only tooling can use the same backends and queue unchanged.
+ *
+ * Example:
+ *   curl http://localhost:3000/v1/messages \
+ *     -H "Content-Type: application/json" \
+ *     -d '{"model":"gemini","max_tokens":1024,"messages":[{"role":"user","content":"Hello"}]}'
+ */
+
+const express = require('express');
+const { isAbortError } = require('../lib/abort');
+const { chatOptions, sseQueuePosition } = require('../lib/request');
+
+// Anthropic error type for each HTTP status we produce
+const ERROR_TYPES = {
+    400: 'invalid_request_error',
+    401: 'authentication_error',
+    403: 'permission_error',
+    404: 'not_found_error',
+    409: 'invalid_request_error',
+    429: 'rate_limit_error',
+    500: 'api_error',
+    503: 'overloaded_error'
+};
+
+function errorBody(status, message) {
+    return { type: 'error', error: { type: ERROR_TYPES[status] || 'api_error', message } };
+}
+
+// Text of a string or an array of content blocks; non-text blocks are noted, not sent
+function blocksText(content) {
+    if (typeof content === 'string') return content;
+    if (!Array.isArray(content)) return '';
+    return content.map(block => {
+        if (block.type === 'text') return block.text;
+        if (block.type === 'tool_result') return blocksText(block.content);
+        if (block.type === 'image' || block.type === 'document') return `[${block.type} omitted]`;
+        return '';
+    }).filter(Boolean).join('\n');
+}
+
+// Anthropic request → OpenAI-style messages for the shared pipeline
+function toChatMessages({ system, messages }) {
+    const out = [];
+    const systemText = blocksText(system);
+    if (systemText) out.push({ role: 'system', content: systemText });
+    for (const m of messages || []) out.push({ role: m.role, content: blocksText(m.content) });
+    return out;
+}
+
+function buildMessage(id, model, text) {
+    return {
+        id, type: 'message', role: 'assistant', model,
+        content: [{ type: 'text', text }],
+        stop_reason: 'end_turn', stop_sequence: null,
+        usage: { input_tokens: 0, output_tokens: 0 }
+    };
+}
+
+function writeEvent(res, event, data) {
+    if (!res.writableEnded) res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+/**
+ * @param {{ prepareChat: Function }} deps  shared chat pipeline from server.js
+ */
+module.exports = function anthropicRouter({ prepareChat }) {
+    const router = express.Router();
+
+    router.post('/v1/messages', async (req, res) => {
+        const { model, messages, stream } = req.body || {};
+
+        if (!Array.isArray(messages) || messages.length === 0) {
+            return res.status(400).json(errorBody(400, 'messages: field required and must be a non-empty array'));
+        }
+
+        const chat = prepareChat({
+            model,
+            messages: toChatMessages(req.body),
+            conversationId: req.body.conversation_id || req.get('X-Conversation-Id') || null,
+            ...chatOptions(req, res),
+            onQueuePosition: stream ? sseQueuePosition(res) : null
+        });
+        if (chat.error) {
+            if (chat.error.retryAfter) res.setHeader('Retry-After', String(chat.error.retryAfter));
+            return res.status(chat.error.status).json(errorBody(chat.error.status, chat.error.message));
+        }
+        res.setHeader('X-Conversation-Id', chat.conversationId);
+        if (chat.cache) res.setHeader('X-Cache', chat.cache);
+
+        const id = 'msg_' + req.id;
+
+        // ── Streaming ──
+        if (stream) {
+            res.setHeader('Content-Type', 'text/event-stream');
+            res.setHeader('Cache-Control', 'no-cache');
+            res.setHeader('Connection', 'keep-alive');
+            res.setHeader('X-Accel-Buffering', 'no');
+
+            const start = buildMessage(id, chat.model, '');
+            start.content = [];
+            start.stop_reason = null;
+            writeEvent(res, 'message_start', { type: 'message_start', message: start });
+            writeEvent(res, 'content_block_start', { type: 'content_block_start', index: 0, content_block: { type: 'text', text: '' } });
+            writeEvent(res, 'ping', { type: 'ping' });
+
+            try {
+                let streamed = '';
+                const result = await chat.run((chunk) => {
+                    streamed += chunk;
+                    writeEvent(res, 'content_block_delta', { type: 'content_block_delta', index: 0, delta: { type: 'text_delta', text: chunk } });
+                });
+                chat.remember(result, streamed);
+                writeEvent(res, 'content_block_stop', { type: 'content_block_stop', index: 0 });
+                // What X-Backend says for non-streamed messages
+                writeEvent(res, 'message_delta', { type: 'message_delta', delta: { stop_reason: 'end_turn', stop_sequence: null }, usage: { output_tokens: 0 }, backend: result.backend });
+                writeEvent(res, 'message_stop', { type: 'message_stop' });
+            } catch (err) {
+                if (isAbortError(err)) return; // client is gone, nothing to send
+                req.log.error('Stream failed', { error: err });
+                writeEvent(res, 'error', errorBody(err.status || 500, err.message));
+            }
+            if (!res.writableEnded) res.end();
+            return;
+        }
+
+        // ── Non-Streaming ──
+        try {
+            const result = await chat.run(null);
+            res.setHeader('X-Backend', result.backend);
+            chat.remember(result, result.answer);
+            res.json(buildMessage(id, chat.model, result.answer));
+        } catch (err) {
+            if (isAbortError(err)) return;
+            req.log.error('Request failed', { error: err });
+            if (err.retryAfter) res.setHeader('Retry-After', String(err.retryAfter));
+            res.status(err.status || 500).json(errorBody(err.status || 500, err.message));
+        }
+    });
+
+    return router;
+};
@@ -0,0 +1,152 @@
+/**
+ * Ollama-compatible endpoints, for clients like Open WebUI and editor plugins
+ * that only speak Ollama.
+ *
+ *   POST /api/chat       chat messages → assistant message
+ *   POST /api/generate   prompt (+ system) → response text
+ *   GET  /api/tags       installed models = our supported models and their variants
+ *   GET  /api/version
+ *
+ * Streaming is on unless "stream": false, as in Ollama, and is sent as
+ * newline-delimited JSON rather than SSE. Model names may carry an Ollama tag
+ * ("gemini:latest"); it is ignored.
+ *
+ * Example:
+ *   curl http://localhost:3000/api/chat \
+ *     -d '{"model":"perplexity","messages":[{"role":"user","content":"Hello"}]}'
+ */
+
+const express = require('express');
+const { isAbortError } = require('../lib/abort');
+const { chatOptions } = require('../lib/request');
+
+const OLLAMA_VERSION = '0.5.0'; // version reported to clients that gate features on it
+
+// "gemini:latest" → "gemini"
+function baseModel(name) {
+    return typeof name === 'string' ? name.replace(/:[^:/]*$/, '') : name;
+}
+
+function errorStatus(error) {
+    // Ollama answers unknown models with 404
+    return error.code === 'model_not_found' ? 404 : error.status;
+}
+
+function writeLine(res, data) {
+    if (!res.writableEnded) res.write(JSON.stringify(data) + '\n');
+}
+
+// Ollama reports durations in nanoseconds; we only know the wall time
+function timings(start) {
+    const ns = (Date.now() - start) * 1e6;
+    return { total_duration: ns, load_duration: 0, prompt_eval_count: 0, prompt_eval_duration: 0, eval_count: 0, eval_duration: ns };
+}
+
+/**
+ * @param {{ prepareChat: Function, models: Object }} deps  shared chat pipeline
+ *        and SUPPORTED_MODELS from server.js
+ */
+module.exports = function ollamaRouter({ prepareChat, models }) {
+    const router = express.Router();
+    // Ollama doesn't require a JSON content type (curl -d sends form encoding)
+    router.use('/api', express.json({ limit: '10mb', type: () => true }));
+
+    /**
+     * Runs one request in Ollama's shape. `piece(text)` builds the body
+     * fields that differ between /api/chat and /api/generate.
+     */
+    async function respond(req, res, messages, piece) {
+        const start = Date.now();
+        const stream = req.body.stream !== false;
+
+        const chat = prepareChat({
+            model: baseModel(req.body.model),
+            messages,
+            conversationId: req.get('X-Conversation-Id') || null,
+            ...chatOptions(req, res)
+        });
+        if (chat.error) {
+            if (chat.error.retryAfter) res.setHeader('Retry-After', String(chat.error.retryAfter));
+            return res.status(errorStatus(chat.error)).json({ error: chat.error.message });
+        }
+        res.setHeader('X-Conversation-Id', chat.conversationId);
+        if (chat.cache) res.setHeader('X-Cache', chat.cache);
+
+        const model = req.body.model || chat.model;
+        const stamp = () => ({ model, created_at: new Date().toISOString() });
+
+        // ── Streaming ──
+        if (stream) {
+            res.setHeader('Content-Type', 'application/x-ndjson');
+            res.setHeader('Cache-Control', 'no-cache');
+            res.setHeader('X-Accel-Buffering', 'no');
+
+            try {
+                let streamed = '';
+                const result = await chat.run((chunk) => {
+                    streamed += chunk;
+                    writeLine(res, { ...stamp(), ...piece(chunk), done: false });
+                });
+                chat.remember(result, streamed);
+                writeLine(res, { ...stamp(), ...piece(''), done: true, done_reason: 'stop', ...timings(start), backend: result.backend });
+            } catch (err) {
+                if (isAbortError(err)) return; // client is gone, nothing to send
+                req.log.error('Stream failed', { error: err });
+                writeLine(res, { error: err.message });
+            }
+            if (!res.writableEnded) res.end();
+            return;
+        }
+
+        // ── Non-Streaming ──
+        try {
+            const result = await chat.run(null);
+            res.setHeader('X-Backend', result.backend);
+            chat.remember(result, result.answer);
+            res.json({ ...stamp(), ...piece(result.answer), done: true, done_reason: 'stop', ...timings(start) });
+        } catch (err) {
+            if (isAbortError(err)) return;
+            req.log.error('Request failed', { error: err });
+            if (err.retryAfter) res.setHeader('Retry-After', String(err.retryAfter));
+            res.status(err.status || 500).json({ error: err.message });
+        }
+    }
+
+    router.post('/api/chat', (req, res) => {
+        const messages = (req.body || {}).messages;
+        if (!Array.isArray(messages) || messages.length === 0) {
+            return res.status(400).json({ error: 'messages is required and must be a non-empty array' });
+        }
+        return respond(req, res, messages.map(m => ({ role: m.role, content: m.content })),
+            text => ({ message: { role: 'assistant', content: text } }));
+    });
+
+    router.post('/api/generate', (req, res) => {
+        const { prompt, system } = req.body || {};
+        if (typeof prompt !== 'string' || !prompt.trim()) {
+            return res.status(400).json({ error: 'prompt is required' });
+        }
+        const messages = system ? [{ role: 'system', content: system }, { role: 'user', content: prompt }] : [{ role: 'user', content: prompt }];
+        return respond(req, res, messages, text => ({ response: text }));
+    });
+
+    router.get('/api/tags', (req, res) => {
+        const modifiedAt = new Date().toISOString();
+        res.json({
+            models: Object.values(models).flatMap(m => [m.name, ...m.variants.map(v => `${m.name}-${v}`)].map(name => ({
+                name: `${name}:latest`,
+                model: `${name}:latest`,
+                modified_at: modifiedAt,
+                size: 0,
+                digest: '',
+                details: { format: 'web', family: m.name, families: [m.name], parameter_size: '', quantization_level: '' }
+            })))
+        });
+    });
+
+    router.get('/api/version', (req, res) => {
+        res.json({ version: OLLAMA_VERSION });
+    });
+
+    return router;
+};
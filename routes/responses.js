@@ -0,0 +1,219 @@
+/**
+ * OpenAI Responses API compatible endpoint.
+ *
+ *   POST /v1/responses       create a response (optionally streamed)
+ *   GET  /v1/responses/:id   retrieve a stored response
+ *
+ * `input` may be a string or a list of message items; `instructions` is sent
+ * as a system message with this turn's input only. Responses are kept in memory so `previous_response_id`
+ * continues the same provider thread. Perplexity sources come back as
+ * `url_citation` annotations on the output_text part.
+ *
+ * Example:
+ *   curl http://localhost:3000/v1/responses \
+ *     -H "Content-Type: application/json" \
+ *     -d '{"model":"perplexity","input":"What is Node.js?"}'
+ */
+
+const express = require('express');
+const crypto = require('crypto');
+const { isAbortError } = require('../lib/abort');
+const { chatOptions, sseQueuePosition } = require('../lib/request');
+
+const RESPONSE_TTL = parseInt(process.env.RESPONSE_TTL_MS || String(60 * 60 * 1000), 10);
+const MAX_RESPONSES = parseInt(process.env.MAX_RESPONSES || '500', 10);
+
+const responses = new Map(); // id → { response, history, conversationId, storedAt }
+
+function newId(prefix) {
+    return prefix + '_' + crypto.randomUUID().replace(/-/g, '');
+}
+
+function pruneResponses() {
+    const now = Date.now();
+    for (const [id, entry] of responses) {
+        if (now - entry.storedAt > RESPONSE_TTL || responses.size > MAX_RESPONSES) responses.delete(id);
+    }
+}
+
+function errorBody(message, param = null, code = null, type = 'invalid_request_error') {
+    return { error: { message, type, param, code } };
+}
+
+// Text of a string or a list of input/output content parts
+function partsText(content) {
+    if (typeof content === 'string') return content;
+    if (!Array.isArray(content)) return '';
+    return content.map(part => (part.type === 'input_text' || part.type === 'output_text' || part.type === 'text' ? part.text : ''))
+        .filter(Boolean).join('\n');
+}
+
+// Responses `input` → chat messages (developer messages count as system)
+function inputMessages(input) {
+    if (typeof input === 'string') return [{ role: 'user', content: input }];
+    if (!Array.isArray(input)) return [];
+    return input
+        .filter(item => item.role && (!item.type || item.type === 'message'))
+        .map(item => ({ role: item.role === 'developer' ? 'system' : item.role, content: partsText(item.content) }));
+}
+
+function buildAnnotations(sources = [], citations = []) {
+    return citations.filter(c => sources[c.index - 1]).map(c => ({
+        type: 'url_citation',
+        start_index: c.start, end_index: c.end,
+        url: sources[c.index - 1].url, title: sources[c.index - 1].title
+    }));
+}
+
+function buildResponse({ id, created, model, body, status, output = [], error = null }) {
+    return {
+        id, object: 'response', created_at: created, status, model,
+        output,
+        instructions: body.instructions || null,
+        previous_response_id: body.previous_response_id || null,
+        metadata: body.metadata || {},
+        error,
+        incomplete_details: null,
+        usage: { input_tokens: 0, output_tokens: 0, total_tokens: 0 }
+    };
+}
+
+function buildOutputItem(itemId, text, annotations, status = 'completed') {
+    return {
+        type: 'message', id: itemId, status, role: 'assistant',
+        content: [{ type: 'output_text', text, annotations }]
+    };
+}
+
+/**
+ * @param {{ prepareChat: Function }} deps  shared chat pipeline from server.js
+ */
+module.exports = function responsesRouter({ prepareChat }) {
+    const router = express.Router();
+
+    router.get('/v1/responses/:id', (req, res) => {
+        pruneResponses();
+        const entry = responses.get(req.params.id);
+        if (!entry) return res.status(404).json(errorBody(`No response found with id '${req.params.id}'.`, 'response_id', 'response_not_found'));
+        res.json(entry.response);
+    });
+
+    router.post('/v1/responses', async (req, res) => {
+        const body = req.body || {};
+        const { model, stream, previous_response_id: previousId } = body;
+        const store = body.store !== false;
+
+        // Continue from a stored response: its history plus the new input
+        let history = [];
+        let conversationId = req.get('X-Conversation-Id') || null;
+        if (previousId) {
+            pruneResponses();
+            const previous = responses.get(previousId);
+            if (!previous) {
+                return res.status(404).json(errorBody(`Previous response with id '${previousId}' not found.`, 'previous_response_id', 'previous_response_not_found'));
+            }
+            history = previous.history;
+            conversationId = previous.conversationId;
+        }
+
+        const newInput = inputMessages(body.input);
+        if (newInput.length === 0) return res.status(400).json(errorBody('input is required', 'input', 'invalid_input'));
+
+        // Instructions apply to this turn only, as in the OpenAI API: they go
+        // with the new input (a continued thread only gets the new turn) and
+        // are left out of the stored history
+        const turnMessages = history.concat(newInput);
+        const instructions = body.instructions ? [{ role: 'system', content: body.instructions }] : [];
+        const messages = history.concat(instructions, newInput);
+
+        const chat = prepareChat({
+            model, messages, conversationId,
+            ...chatOptions(req, res),
+            onQueuePosition: stream ? sseQueuePosition(res) : null
+        });
+        if (chat.error) {
+            if (chat.error.retryAfter) res.setHeader('Retry-After', String(chat.error.retryAfter));
+            return res.status(chat.error.status).json(errorBody(chat.error.message, chat.error.param, chat.error.code, chat.error.type));
+        }
+        res.setHeader('X-Conversation-Id', chat.conversationId);
+        if (chat.cache) res.setHeader('X-Cache', chat.cache);
+
+        const id = newId('resp');
+        const itemId = newId('msg');
+        const created = Math.floor(Date.now() / 1000);
+
+        const finish = (result, text) => {
+            chat.remember(result, text);
+            // Citation offsets index into result.answer; a stream the page
+            // rewrote mid-way (see providers/reconciler.js) gets none
+            const annotations = text === result.answer ? buildAnnotations(result.sources, result.citations) : [];
+            const response = buildResponse({ id, created, model: chat.model, body, status: 'completed', output: [buildOutputItem(itemId, text, annotations)] });
+            if (store) {
+                pruneResponses();
+                responses.set(id, {
+                    response,
+                    history: turnMessages.concat({ role: 'assistant', content: text }),
+                    conversationId: chat.conversationId,
+                    storedAt: Date.now()
+                });
+            }
+            return { response, annotations };
+        };
+
+        // ── Streaming ──
+        if (stream) {
+            res.setHeader('Content-Type', 'text/event-stream');
+            res.setHeader('Cache-Control', 'no-cache');
+            res.setHeader('Connection', 'keep-alive');
+            res.setHeader('X-Accel-Buffering', 'no');
+
+            let seq = 0;
+            const send = (type, data) => {
+                if (!res.writableEnded) res.write(`event: ${type}\ndata: ${JSON.stringify({ type, sequence_number: seq++, ...data })}\n\n`);
+            };
+            const at = { item_id: itemId, output_index: 0, content_index: 0 };
+
+            const pending = buildResponse({ id, created, model: chat.model, body, status: 'in_progress' });
+            send('response.created', { response: pending });
+            send('response.in_progress', { response: pending });
+            send('response.output_item.added', { output_index: 0, item: { ...buildOutputItem(itemId, '', [], 'in_progress'), content: [] } });
+            send('response.content_part.added', { ...at, part: { type: 'output_text', text: '', annotations: [] } });
+
+            try {
+                let streamed = '';
+                const result = await chat.run((chunk) => {
+                    streamed += chunk;
+                    send('response.output_text.delta', { ...at, delta: chunk });
+                });
+                const { response, annotations } = finish(result, streamed);
+                annotations.forEach((annotation, i) => send('response.output_text.annotation.added', { ...at, annotation_index: i, annotation }));
+                send('response.output_text.done', { ...at, text: streamed });
+                send('response.content_part.done', { ...at, part: response.output[0].content[0] });
+                send('response.output_item.done', { output_index: 0, item: response.output[0] });
+                send('response.completed', { response, backend: result.backend });
+            } catch (err) {
+                if (isAbortError(err)) return; // client is gone, nothing to send
+                req.log.error('Stream failed', { error: err });
+                send('response.failed', {
+                    response: buildResponse({ id, created, model: chat.model, body, status: 'failed', error: { code: err.status ? err.code : 'server_error', message: err.message } })
+                });
+            }
+            if (!res.writableEnded) res.end();
+            return;
+        }
+
+        // ── Non-Streaming ──
+        try {
+            const result = await chat.run(null);
+            res.setHeader('X-Backend', result.backend);
+            res.json(finish(result, result.answer).response);
+        } catch (err) {
+            if (isAbortError(err)) return;
+            req.log.error('Request failed', { error: err });
+            if (err.retryAfter) res.setHeader('Retry-After', String(err.retryAfter));
+            res.status(err.status || 500).json(errorBody(err.message, null, err.status ? err.code : 'internal_error', err.status < 500 ? 'invalid_request_error' : 'server_error'));
+        }
+    });
+
+    return router;
+};
@@ -0,0 +1,71 @@
+/**
+ * Admin access to debug trace bundles (see lib/trace.js).
+ *
+ *   GET /v1/traces                    list, newest first (?request_id= to filter)
+ *   GET /v1/traces/:id                manifest: timings, extractions, file names
+ *   GET /v1/traces/:id/files/:name    one snapshot, screenshot or attachment
+ *   GET /v1/traces/:id/download       the whole bundle as a .tar
+ *
+ * Traces contain prompts and page contents, so when API keys are in use only
+ * admin keys may read them; without API keys only local clients may. A reverse
+ * proxy on the same host makes every client look local, so proxied requests
+ * (those carrying forwarding headers) are refused too — behind a proxy that
+ * doesn't add them, configure API keys to protect traces.
+ */
+
+const express = require('express');
+
+// A direct connection from this machine: forwarded requests came through a proxy, whatever the socket says
+function fromLoopback(req) {
+    if (req.get('X-Forwarded-For') || req.get('Forwarded') || req.get('X-Real-IP')) return false;
+    const address = (req.socket.remoteAddress || '').replace(/^::ffff:/, '');
+    return address === '::1' || address.startsWith('127.');
+}
+
+function errorBody(message, type, code) {
+    return { error: { message, type, param: null, code } };
+}
+
+module.exports = function tracesRouter({ traces }) {
+    const router = express.Router();
+
+    router.use('/v1/traces', (req, res, next) => {
+        if (req.apiKey && !req.apiKey.admin) {
+            return res.status(403).json(errorBody('Traces are only available to admin API keys.', 'permission_error', 'admin_required'));
+        }
+        if (!req.apiKey && !fromLoopback(req)) {
+            return res.status(403).json(errorBody('Without API keys, traces are only available from this machine.', 'permission_error', 'local_only'));
+        }
+        next();
+    });
+
+    const notFound = (res, id) => res.status(404).json(errorBody(`No trace found with id '${id}'.`, 'invalid_request_error', 'trace_not_found'));
+
+    router.get('/v1/traces', (req, res) => {
+        const requestId = req.query.request_id;
+        const data = traces.list().filter(t => !requestId || t.requestId === requestId);
+        res.json({ object: 'list', mode: traces.mode, data });
+    });
+
+    router.get('/v1/traces/:id', (req, res) => {
+        const trace = traces.get(req.params.id);
+        if (!trace) return notFound(res, req.params.id);
+        res.json(trace);
+    });
+
+    router.get('/v1/traces/:id/files/:name', (req, res) => {
+        const file = traces.file(req.params.id, req.params.name);
+        if (!file) return notFound(res, `${req.params.id}/${req.params.name}`);
+        res.sendFile(file);
+    });
+
+    router.get('/v1/traces/:id/download', (req, res) => {
+        const trace = traces.get(req.params.id);
+        if (!trace) return notFound(res, req.params.id);
+        res.setHeader('Content-Type', 'application/x-tar');
+        res.setHeader('Content-Disposition', `attachment; filename="${trace.id}.tar"`);
+        res.send(traces.archive(trace.id));
+    });
+
+    return router;
+};
@@ -1,5 +1,5 @@
 /**
- * Unified LLM API Server (No Login Required)
+ * Unified LLM API Server
  *
  * Single OpenAI-compatible server that supports multiple LLM backends.
  * Just change the "model" field in your request to switch between them.
@@ -8,6 +8,74 @@
  *   - "perplexity"  → queries perplexity.ai
  *   - "gemini"      → queries gemini.google.com
  *
+ * "<backend>-<variant>" ids (gemini-pro, gemini-flash, perplexity-sonar, ...)
+ * switch the site's own model picker before the prompt goes out, and fail
+ * with model_not_selected if the switch can't be confirmed; GET /v1/models
+ * lists them. Perplexity's need a signed-in account, so they are only offered
+ * with PERPLEXITY_PERSISTENT_SESSION=true (Perplexity then runs in the profile).
+ *
+ * Gemini runs in the persistent ./chrome-profile browser profile: start once
+ * with HEADLESS=false and sign in to Google, later runs reuse the session.
+ *
+ * Backends are provider modules registered in ./providers (see
+ * providers/index.js for the contract); a new site needs no server changes.
+ * Their CSS selectors live in providers/selectors.json (or SELECTORS_FILE),
+ * which is reloaded on change — patch a renamed element without a restart.
+ *
+ * Perplexity sources come back as OpenAI-style `url_citation` annotations on
+ * the message, pointing at inline [n] markers; send "sources_footer": true to
+ * also get a Markdown **Sources:** list appended to the content. Its search
+ * focus, mode, domain and recency filters are set per request with
+ * "web_search_options" or "perplexity" (see lib/search.js).
+ *
+ * The same backends are also served in Anthropic Messages format at
+ * POST /v1/messages (see routes/anthropic.js) and as the OpenAI Responses API
+ * at POST /v1/responses (see routes/responses.js). Ollama clients can use
+ * /api/chat, /api/generate and /api/tags (see routes/ollama.js).
+ *
+ * Set API keys in api-keys.json or API_KEYS to require
+ * "Authorization: Bearer <key>" on /v1/* and /api/*, with per-key rate limits
+ * and daily quotas; GET /v1/usage reports consumption (see lib/apiKeys.js).
+ *
+ * With RESPONSE_CACHE=true answers to repeated prompts are served from disk
+ * (X-Cache: HIT); send X-Cache-Mode: bypass or refresh to skip or renew it.
+ *
+ * Each backend queue holds at most MAX_QUEUE_DEPTH requests (429 + Retry-After
+ * beyond that) and is ordered by priority: X-Priority: high | normal | low, or
+ * the API key's priority. Streaming clients get ": queue position N" SSE
+ * comments while they wait.
+ *
+ * Logs are JSON lines (LOG_FORMAT=pretty for humans, LOG_LEVEL to filter) and
+ * carry the request id from X-Request-Id, which is also the completion id;
+ * query text is redacted unless LOG_QUERIES=true (see lib/logger.js).
+ *
+ * GET /health/deep opens each provider and reports it healthy, degraded or
+ * down (challenge page, login wall, missing input), probing at most once per
+ * HEALTH_DEEP_MIN_INTERVAL_MS; HEALTH_CANARY_INTERVAL_MS runs the same check
+ * in the background.
+ *
+ * GET /metrics exposes Prometheus metrics: request counts and latency, queue
+ * wait, time to first token, extraction strategy, timeouts, browser restarts.
+ *
+ * TRACE_MODE records per-request debug bundles (page HTML and screenshots at
+ * each phase, extraction timeline, timings); admins fetch them from
+ * /v1/traces (see lib/trace.js and routes/traces.js).
+ *
+ * A client that disconnects cancels its request: queued jobs leave the queue,
+ * running ones stop and close their page (counted under /health cancellations).
+ *
+ * Transient failures (timeouts, a missing input, an empty answer) are retried
+ * with backoff; model "auto" or <BACKEND>_FAILOVER lists move on to the next
+ * backend when one keeps failing. The X-Backend header (on streams, a "backend"
+ * field in the last event) says which one answered. After CIRCUIT_THRESHOLD
+ * consecutive failures a backend's circuit opens: its requests fail fast with
+ * 503 circuit_open until a probe query succeeds after CIRCUIT_COOLDOWN_MS
+ * (state in /health and /metrics).
+ *
+ * Multi-turn chats continue the provider's own thread: pass "conversation_id"
+ * (or the X-Conversation-Id header), or just resend the history and the
+ * server matches it to the thread it already has open.
+ *
  * Usage:
  *   node server.js
  *   # Server starts on port 3000 (or PORT env var)
@@ -24,64 +92,168 @@
 
 const express = require('express');
 const puppeteer = require('puppeteer');
-const fs = require('fs');
 const path = require('path');
 const crypto = require('crypto');
+const { listProviders, getProvider, resolveProvider, resolveModel } = require('./providers');
+const { runQuery } = require('./providers/runner');
+const { selectorInfo } = require('./providers/selectors');
+const { probeProvider, worstStatus } = require('./providers/health');
+const anthropicRouter = require('./routes/anthropic');
+const responsesRouter = require('./routes/responses');
+const ollamaRouter = require('./routes/ollama');
+const { createApiKeys } = require('./lib/apiKeys');
+const { createResponseCache, replayChunks } = require('./lib/cache');
+const { abortError, isAbortError, delay } = require('./lib/abort');
+const { PRIORITIES, chatOptions, sseQueuePosition } = require('./lib/request');
+const { createRegistry } = require('./lib/metrics');
+const { logger } = require('./lib/logger');
+const { createTraceStore, NO_TRACE } = require('./lib/trace');
+const { createCircuitBreakers, STATES: CIRCUIT_STATES } = require('./lib/circuit');
+const { parseSearchOptions } = require('./lib/search');
+const tracesRouter = require('./routes/traces');
 
 // ─── Configuration ──────────────────────────────────────────────────────────
 
 const PORT = parseInt(process.env.PORT || '3000', 10);
-const MAX_TIMEOUT = 120000; // 2 minutes max per query
+const MAX_TIMEOUT = 120000; // 2 minutes max per query (providers may set their own)
+
+// userDataDir persists cookies/logins between restarts. Providers with
+// persistentSession (Gemini) run in this profile; others get isolated contexts.
+// On first run start with HEADLESS=false and log in to Google in the window.
+const CHROME_PROFILE_DIR = process.env.CHROME_PROFILE_DIR || path.join(__dirname, 'chrome-profile');
+const HEADLESS = process.env.HEADLESS !== 'false';
 const DEFAULT_MODEL = 'perplexity';
 
-const SUPPORTED_MODELS = {
-    perplexity: { name: 'perplexity', owned_by: 'perplexity', url: 'https://www.perplexity.ai/' },
-    gemini:     { name: 'gemini',     owned_by: 'google',     url: 'https://gemini.google.com/app' },
-};
+// Everything registered in ./providers is exposed as a model, plus one
+// "<name>-<variant>" model per entry of its variants
+const SUPPORTED_MODELS = Object.fromEntries(listProviders().map(p => [
+    p.name, { name: p.name, owned_by: p.owned_by, url: p.url, capabilities: p.capabilities, variants: Object.keys(p.variants || {}) }
+]));
+
+// Every model id a client can send (AUTO_MODEL aside)
+function modelIds() {
+    return Object.values(SUPPORTED_MODELS).flatMap(m => [m.name, ...m.variants.map(v => `${m.name}-${v}`)]);
+}
+
+// Max parallel browser contexts per backend (each slot = one isolated context),
+// configured as <BACKEND>_CONCURRENCY, e.g. PERPLEXITY_CONCURRENCY=3
+function backendConcurrency(backend) {
+    return parseInt(process.env[`${backend.toUpperCase()}_CONCURRENCY`] || '2', 10);
+}
+
+// API keys from api-keys.json / API_KEYS (see lib/apiKeys.js); none = open access
+const apiKeys = createApiKeys();
+
+// Optional on-disk cache of answers to repeated prompts (off unless RESPONSE_CACHE=true)
+const responseCache = process.env.RESPONSE_CACHE === 'true' ? createResponseCache({
+    dir: process.env.RESPONSE_CACHE_DIR || path.join(__dirname, 'cache'),
+    ttl: parseInt(process.env.RESPONSE_CACHE_TTL_MS || String(24 * 60 * 60 * 1000), 10),
+    maxBytes: parseInt(process.env.RESPONSE_CACHE_MAX_MB || '100', 10) * 1024 * 1024
+}) : null;
+
+// Debug trace bundles (lib/trace.js): TRACE_MODE=off | request | errors | always
+const traces = createTraceStore({
+    dir: process.env.TRACE_DIR || path.join(__dirname, 'traces'),
+    mode: process.env.TRACE_MODE || 'off',
+    ttl: parseInt(process.env.TRACE_TTL_MS || String(24 * 60 * 60 * 1000), 10),
+    maxBundles: parseInt(process.env.TRACE_MAX_BUNDLES || '100', 10)
+});
+
+// Per-backend circuit breakers (lib/circuit.js): CIRCUIT_THRESHOLD consecutive
+// failures open a backend's circuit for CIRCUIT_COOLDOWN_MS; 0 turns them off
+const circuits = createCircuitBreakers({
+    threshold: parseInt(process.env.CIRCUIT_THRESHOLD || '5', 10),
+    cooldown: parseInt(process.env.CIRCUIT_COOLDOWN_MS || '60000', 10),
+    onChange: ({ backend, from, to, failures, error }) => {
+        circuitTransitions.inc({ backend, to });
+        if (to === 'open') logger.warn('Circuit opened, failing fast', { backend, from, failures, retryAfter: circuits.retryAfter(backend), error });
+        else logger.info(to === 'closed' ? 'Circuit closed' : 'Circuit half-open, probing', { backend, from });
+    }
+});
 
 // ─── Global State ───────────────────────────────────────────────────────────
 
 let browser = null;
 let browserReady = false;
-const requestQueue = [];
-let processing = false;
+let browserLaunch = null;
+let browserLaunches = 0;
+const pools = {}; // backend → { slots: [{ id, busy, context, since }], queue: [] }
+const cancellations = { queued: 0, running: 0 }; // requests dropped because the client went away
+
+// ─── Metrics ────────────────────────────────────────────────────────────────
+// Served in Prometheus text format at GET /metrics (see lib/metrics.js).
+
+const metrics = createRegistry();
+const requestsTotal = metrics.counter('llm_requests_total', 'HTTP requests by model, endpoint and status', ['model', 'endpoint', 'status']);
+const requestDuration = metrics.histogram('llm_request_duration_seconds', 'End-to-end HTTP request latency', ['model', 'endpoint']);
+const queueWait = metrics.histogram('llm_queue_wait_seconds', 'Time a query waited for a browser slot', ['backend', 'priority']);
+const firstToken = metrics.histogram('llm_time_to_first_token_seconds', 'Time from request to the first streamed chunk', ['backend']);
+const extractionStrategy = metrics.counter('llm_extraction_strategy_total', 'Answers by the extraction strategy that produced them', ['backend', 'strategy']);
+const timeoutsTotal = metrics.counter('llm_timeouts_total', 'Queries that hit the timeout, with or without partial text', ['backend']);
+const partialAnswers = metrics.counter('llm_partial_answers_total', 'Timed-out queries answered with the partial text seen so far', ['backend']);
+const retriesTotal = metrics.counter('llm_retries_total', 'Queries retried after a transient failure', ['backend', 'reason']);
+const failoversTotal = metrics.counter('llm_failovers_total', 'Queries handed to the next backend of their failover list', ['from', 'to']);
+const circuitTransitions = metrics.counter('llm_circuit_transitions_total', 'Circuit breaker state changes by the state entered', ['backend', 'to']);
+const circuitRejections = metrics.counter('llm_circuit_rejections_total', 'Queries failed fast because their backend\'s circuit was open', ['backend']);
+const cancelledTotal = metrics.counter('llm_cancellations_total', 'Queries cancelled because the client disconnected', ['backend', 'stage']);
+const browserRestarts = metrics.counter('llm_browser_restarts_total', 'Browser launches after the first one');
+metrics.gauge('llm_browser_up', 'Whether the browser is running', [], () => [[{}, browserReady ? 1 : 0]]);
+metrics.gauge('llm_queue_depth', 'Queries waiting for a slot', ['backend', 'priority'], () =>
+    Object.keys(SUPPORTED_MODELS).flatMap(backend => PRIORITIES.map(priority =>
+        [{ backend, priority }, getPool(backend).queue.filter(job => job.priority === priority).length])));
+metrics.gauge('llm_backend_health', 'Last deep health check per backend: 2 healthy, 1 degraded, 0 down', ['backend'], () =>
+    Object.entries(lastDeepHealth ? lastDeepHealth.backends : {}).map(([backend, report]) =>
+        [{ backend }, { healthy: 2, degraded: 1, down: 0 }[report.status]]));
+metrics.gauge('llm_circuit_state', 'Circuit breaker state per backend: 0 closed, 1 half-open, 2 open', ['backend'], () =>
+    Object.keys(SUPPORTED_MODELS).map(backend => [{ backend }, CIRCUIT_STATES.indexOf(circuits.state(backend))]));
+metrics.gauge('llm_busy_slots', 'Browser slots running a query', ['backend'], () =>
+    Object.keys(SUPPORTED_MODELS).map(backend => [{ backend }, poolStats(backend).busy]));
 
 // ─── Browser Management ────────────────────────────────────────────────────
 
 async function initBrowser() {
-    console.log('🚀 Launching headless browser...');
+    if (browserLaunches++ > 0) browserRestarts.inc();
+    logger.info('Launching browser', { headless: HEADLESS, profile: CHROME_PROFILE_DIR });
     browser = await puppeteer.launch({
-        headless: 'new',
-        defaultViewport: { width: 1920, height: 1080 },
+        headless: HEADLESS ? 'new' : false,
+        defaultViewport: HEADLESS ? { width: 1920, height: 1080 } : null,
+        userDataDir: CHROME_PROFILE_DIR,
         args: [
             '--no-sandbox',
             '--disable-setuid-sandbox',
             '--disable-blink-features=AutomationControlled',
-            '--disable-gpu'
+            '--disable-gpu',
+            ...(HEADLESS ? [] : ['--start-maximized'])
         ]
     });
 
     browser.on('disconnected', () => {
-        console.log('⚠️  Browser disconnected, will restart on next request');
+        logger.warn('Browser disconnected, will restart on next request');
         browserReady = false;
         browser = null;
+        // Contexts die with the browser — slots will lazily recreate them
+        for (const pool of Object.values(pools)) pool.slots.forEach(slot => { slot.context = null; });
     });
 
     browserReady = true;
-    console.log('✅ Browser ready');
+    logger.info('Browser ready');
 }
 
 async function ensureBrowser() {
     if (!browser || !browserReady) {
-        await initBrowser();
+        // Share a single launch between slots that need the browser at once
+        if (!browserLaunch) browserLaunch = initBrowser().finally(() => { browserLaunch = null; });
+        await browserLaunch;
     }
     return browser;
 }
 
-async function createPage() {
+async function createPage(slot, provider) {
     const b = await ensureBrowser();
-    const context = await b.createBrowserContext();
-    const page = await context.newPage();
+    if (!slot.context) {
+        slot.context = provider.persistentSession ? b.defaultBrowserContext() : await b.createBrowserContext();
+    }
+    const page = await slot.context.newPage();
 
     await page.evaluateOnNewDocument(() => {
         Object.defineProperty(navigator, 'webdriver', { get: () => false });
@@ -92,399 +264,700 @@ async function createPage() {
         'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/145.0.0.0 Safari/537.36'
     );
 
-    return { page, context };
+    // Bring this tab to the front so it's visible when running headful
+    if (provider.persistentSession) await page.bringToFront();
+
+    return page;
 }
 
 // ═══════════════════════════════════════════════════════════════════════════
-//  PERPLEXITY BACKEND
+//  MODEL ROUTER — pick a provider from the registry based on model name
 // ═══════════════════════════════════════════════════════════════════════════
 
-async function perplexitySubmit(page, query) {
-    await new Promise(r => setTimeout(r, 2000));
-    await page.evaluate(() => window.scrollTo(0, document.body.scrollHeight));
-    await new Promise(r => setTimeout(r, 500));
-
-    const selectors = [
-        'textarea',
-        '[contenteditable="true"]',
-        'input[type="text"]',
-        '[placeholder*="Ask"]',
-        '[placeholder*="Search"]',
-        '[placeholder*="follow"]',
-        '[role="textbox"]'
-    ];
-
-    for (const selector of selectors) {
-        try {
-            const elements = await page.$$(selector);
-            for (const element of elements) {
-                const isVisible = await element.evaluate(el => {
-                    el.scrollIntoView({ behavior: 'instant', block: 'center' });
-                    const rect = el.getBoundingClientRect();
-                    const style = window.getComputedStyle(el);
-                    return style.display !== 'none'
-                        && style.visibility !== 'hidden'
-                        && rect.height > 0
-                        && rect.width > 0;
-                });
-                if (!isVisible) continue;
-
-                await element.click();
-                await new Promise(r => setTimeout(r, 300));
-                await page.keyboard.down('Control');
-                await page.keyboard.press('a');
-                await page.keyboard.up('Control');
-                await page.keyboard.press('Backspace');
-                await new Promise(r => setTimeout(r, 200));
-
-                const client = await page.createCDPSession();
-                await client.send('Input.insertText', { text: query });
-                await client.detach();
-                await new Promise(r => setTimeout(r, 500));
-                await page.keyboard.press('Enter');
-                return true;
-            }
-        } catch { continue; }
-    }
-    return false;
-}
-
-async function perplexityExtract(page) {
-    return page.evaluate(() => {
-        const proseEls = document.querySelectorAll('.prose.dark\\:prose-invert');
-        let paragraphs = [];
-        for (const el of proseEls) {
-            const clone = el.cloneNode(true);
-            clone.querySelectorAll('.citation, .citation-nbsp, [class*="SeeMore"]').forEach(c => c.remove());
-            const text = (clone.innerText || clone.textContent || '').trim();
-            if (text.length > 5) paragraphs.push(text);
+/**
+ * Opens a page in the slot's context and runs the shared provider loop on it.
+ * Aborting `signal` closes the page at once, which also fails any Puppeteer
+ * call the provider is waiting on; the slot's context stays for its threads.
+ * A failed query leaves a final snapshot in `trace` before its page closes.
+ */
+async function queryBackend(backend, query, slot, { onChunk = null, threadUrl = null, variant = null, search = null, signal = null, log = logger, trace = NO_TRACE } = {}) {
+    const provider = getProvider(backend);
+    const page = await createPage(slot, provider);
+    const onAbort = () => page.close().catch(() => {});
+    if (signal) signal.addEventListener('abort', onAbort, { once: true });
+    try {
+        // The client may have left while the browser or the page was starting
+        if (signal && signal.aborted) throw signal.reason;
+        const result = await runQuery(provider, page, query, {
+            onChunk, threadUrl, variant, search, signal, log, trace, timeout: provider.timeout || MAX_TIMEOUT
+        });
+        extractionStrategy.inc({ backend, strategy: result.strategy || 'default' });
+        if (result.partial) {
+            timeoutsTotal.inc({ backend });
+            partialAnswers.inc({ backend });
         }
-        let answerText = paragraphs.join('\n\n');
-
-        if (answerText.length < 30) {
-            const fallbackSels = ['[class*="MarkdownBlock"]', '[class*="answer"]', '[class*="response"]', '[data-testid*="answer"]', 'article', 'main'];
-            for (const sel of fallbackSels) {
-                const els = document.querySelectorAll(sel);
-                for (const el of els) {
-                    const clone = el.cloneNode(true);
-                    clone.querySelectorAll('.citation, .citation-nbsp, [class*="SeeMore"]').forEach(c => c.remove());
-                    const t = (clone.innerText || '').trim();
-                    if (t.length > answerText.length) answerText = t;
-                }
-            }
+        return result;
+    } catch (err) {
+        // "Target closed" and friends after an abort are just the cancellation
+        if (signal && signal.aborted) throw signal.reason;
+        if (err.name === 'TimeoutError') timeoutsTotal.inc({ backend });
+        await trace.snapshot('error', page);
+        throw err;
+    } finally {
+        if (signal) signal.removeEventListener('abort', onAbort);
+        await page.close().catch(() => {});
+    }
+}
+
+function getBackend(modelName) {
+    const provider = resolveProvider(modelName || DEFAULT_MODEL);
+    return provider ? provider.name : null;
+}
+
+// ─── Page Pool ──────────────────────────────────────────────────────────────
+// Each backend gets its own queue and a fixed number of slots. A slot owns one
+// browser context that is reused across requests; a task runs as soon as a
+// slot of its backend is free, so a slow Gemini answer never blocks Perplexity.
+// Tasks may be pinned to a slot (conversation follow-ups need the context
+// that owns the thread) and then wait for that slot only. A job whose signal
+// aborts leaves the queue immediately; a running one is stopped by its task.
+//
+// Queues are ordered by priority (high → normal → low), FIFO within one, and
+// hold at most MAX_QUEUE_DEPTH jobs; beyond that requests get a 429.
+
+const MAX_QUEUE_DEPTH = parseInt(process.env.MAX_QUEUE_DEPTH || '20', 10);
+const WAIT_SAMPLES = 50; // recent queue waits kept per priority for the average
+
+function getPool(backend) {
+    if (!pools[backend]) {
+        const size = Math.max(1, backendConcurrency(backend) || 1);
+        pools[backend] = {
+            slots: Array.from({ length: size }, (_, i) => ({ id: i, busy: false, context: null, since: null })),
+            queue: [],
+            waits: Object.fromEntries(PRIORITIES.map(p => [p, []])), // ms spent queued, most recent last
+            avgRunMs: null
+        };
+    }
+    return pools[backend];
+}
+
+// Tell waiting jobs where they stand (only when their position changed)
+function notifyPositions(pool) {
+    pool.queue.forEach((job, i) => {
+        if (job.onPosition && job.position !== i + 1) {
+            job.position = i + 1;
+            job.onPosition(job.position);
         }
+    });
+}
 
-        // Sources
-        const citationEls = document.querySelectorAll('[data-pplx-citation-url]');
-        const sources = [];
-        const seen = new Set();
-        for (const el of citationEls) {
-            const url = el.getAttribute('data-pplx-citation-url');
-            const label = el.closest('[aria-label]')?.getAttribute('aria-label') || el.textContent?.trim() || '';
-            if (url && !seen.has(url)) { seen.add(url); sources.push({ title: label || url, url }); }
+/**
+ * Queues `task(slot)` on the backend's pool and resolves with its result.
+ * Options: slotId pins the job to one slot, signal cancels it, priority is
+ * one of PRIORITIES, onPosition(n) is called as the job moves up the queue,
+ * log is the request's logger.
+ */
+function enqueue(backend, task, { slotId = null, signal = null, priority = 'normal', onPosition = null, log = logger } = {}) {
+    return new Promise((resolve, reject) => {
+        if (signal && signal.aborted) return reject(signal.reason || abortError());
+        const pool = getPool(backend);
+        const rank = PRIORITIES.indexOf(priority);
+        const job = { task, slotId, signal, priority, rank, onPosition, log, position: null, queuedAt: Date.now(), resolve, reject };
+        if (signal) {
+            job.onAbort = () => {
+                const idx = pool.queue.indexOf(job);
+                if (idx === -1) return; // already running — the task stops itself
+                pool.queue.splice(idx, 1);
+                cancellations.queued++;
+                cancelledTotal.inc({ backend, stage: 'queued' });
+                log.info('Removed cancelled request from queue', { backend, stillWaiting: pool.queue.length });
+                reject(signal.reason || abortError());
+                notifyPositions(pool);
+            };
+            signal.addEventListener('abort', job.onAbort, { once: true });
         }
-        if (sources.length === 0) {
-            const links = document.querySelectorAll('a[href^="http"]:not([href*="perplexity.ai"]):not([href*="google.com"])');
-            for (const a of links) {
-                const url = a.href; const title = a.textContent?.trim() || '';
-                if (url && !seen.has(url) && title.length > 2 && title.length < 200) { seen.add(url); sources.push({ title, url }); }
-            }
+        // Behind every job of the same or a higher priority
+        const before = pool.queue.findIndex(queued => queued.rank > rank);
+        pool.queue.splice(before === -1 ? pool.queue.length : before, 0, job);
+        processQueue(backend);
+        notifyPositions(pool);
+    });
+}
+
+function processQueue(backend) {
+    const pool = getPool(backend);
+    for (const slot of pool.slots) {
+        if (slot.busy) continue;
+        const idx = pool.queue.findIndex(job => job.slotId === null || job.slotId === slot.id);
+        if (idx === -1) continue;
+        runJob(backend, slot, pool.queue.splice(idx, 1)[0]);
+    }
+    notifyPositions(pool);
+}
+
+async function runJob(backend, slot, job) {
+    const { task, signal, onAbort, log, resolve, reject } = job;
+    const pool = getPool(backend);
+    const waits = pool.waits[job.priority];
+    waits.push(Date.now() - job.queuedAt);
+    queueWait.observe({ backend, priority: job.priority }, (Date.now() - job.queuedAt) / 1000);
+    if (waits.length > WAIT_SAMPLES) waits.shift();
+
+    slot.busy = true;
+    slot.since = Date.now();
+    try { resolve(await task(slot)); }
+    catch (err) {
+        if (isAbortError(err) && signal && signal.aborted) {
+            cancellations.running++;
+            cancelledTotal.inc({ backend, stage: 'running' });
+            log.info('Cancelled running request', { backend, slot: slot.id, ms: Date.now() - slot.since });
         }
+        reject(err);
+    }
+    finally {
+        if (onAbort) signal.removeEventListener('abort', onAbort);
+        // Smoothed job duration, used to suggest a Retry-After when the queue is full
+        const ran = Date.now() - slot.since;
+        pool.avgRunMs = pool.avgRunMs === null ? ran : Math.round(pool.avgRunMs * 0.8 + ran * 0.2);
+        slot.busy = false;
+        slot.since = null;
+        processQueue(backend);
+    }
+}
 
-        const isLoading = !!(
-            document.querySelector('[class*="animate-spin"]') ||
-            document.querySelector('[class*="animate-pulse"]') ||
-            document.querySelector('[class*="Spinner"]') ||
-            document.querySelector('.loading-spinner')
-        );
-        const prevLen = parseInt(document.body.getAttribute('data-prev-len') || '0');
-        document.body.setAttribute('data-prev-len', String(answerText.length));
-        const isGrowing = answerText.length > prevLen && prevLen > 0;
-
-        return { answerText, sources, isLoading: isLoading || isGrowing };
-    });
+// Seconds until a queue slot is likely to free up: one average job per slot ahead
+function retryAfterSeconds(backend) {
+    const pool = getPool(backend);
+    const avgRun = pool.avgRunMs === null ? 30000 : pool.avgRunMs;
+    return Math.max(1, Math.ceil(avgRun / pool.slots.length / 1000));
 }
 
-async function queryPerplexity(query, onChunk = null) {
-    const { page, context } = await createPage();
-    const requestId = crypto.randomUUID().slice(0, 8);
+function average(values) {
+    return values.length ? Math.round(values.reduce((a, b) => a + b, 0) / values.length) : null;
+}
 
+function poolStats(backend) {
+    const pool = getPool(backend);
+    const busy = pool.slots.filter(s => s.busy).length;
+    return {
+        concurrency: pool.slots.length,
+        busy,
+        idle: pool.slots.length - busy,
+        queued: pool.queue.length,
+        maxQueue: MAX_QUEUE_DEPTH,
+        priorities: Object.fromEntries(PRIORITIES.map(p => [p, {
+            queued: pool.queue.filter(job => job.priority === p).length,
+            avgWaitMs: average(pool.waits[p])
+        }])),
+        avgWaitMs: average(PRIORITIES.flatMap(p => pool.waits[p]))
+    };
+}
+
+// ─── Deep Health ────────────────────────────────────────────────────────────
+// GET /health/deep opens every provider in a fresh page and checks it can
+// actually take a query: no challenge page, no login wall, a visible input
+// (see providers/health.js). With HEALTH_CANARY_INTERVAL_MS set the same probe
+// runs in the background; /health then reports its last result and status
+// changes are logged. The endpoint needs no key, so it probes at most once per
+// HEALTH_DEEP_MIN_INTERVAL_MS (default: the canary interval, else a minute)
+// and serves the last result in between.
+
+const HEALTH_SLOW_MS = parseInt(process.env.HEALTH_SLOW_MS || '20000', 10);
+const CANARY_INTERVAL = parseInt(process.env.HEALTH_CANARY_INTERVAL_MS || '0', 10);
+const DEEP_MIN_INTERVAL = parseInt(process.env.HEALTH_DEEP_MIN_INTERVAL_MS || String(CANARY_INTERVAL || 60000), 10);
+
+let deepCheck = null;      // in-flight run, shared by concurrent callers
+let lastDeepHealth = null; // { status, checkedAt, backends: { name → report } }
+
+async function probeBackend(backend) {
+    const provider = getProvider(backend);
+    const started = Date.now();
+    // A throwaway slot: its own context, or the profile's default context for
+    // persistent-session providers so the probe sees the real login state
+    const slot = { id: 'health', context: null };
+    let page = null;
     try {
-        console.log(`[perplexity:${requestId}] 🌐 Navigating...`);
-        await page.goto('https://www.perplexity.ai/', { waitUntil: 'networkidle2', timeout: 60000 });
-        await new Promise(r => setTimeout(r, 2000));
+        page = await createPage(slot, provider);
+        return { ...(await probeProvider(provider, page, { slowMs: HEALTH_SLOW_MS })), ms: Date.now() - started };
+    } catch (err) {
+        return {
+            status: 'down', failed: 'browser', url: null, ms: Date.now() - started,
+            checks: [{ name: 'browser', ok: false, severity: 'down', detail: err.message }]
+        };
+    } finally {
+        if (page) await page.close().catch(() => {});
+        if (slot.context && !provider.persistentSession) await slot.context.close().catch(() => {});
+    }
+}
 
-        console.log(`[perplexity:${requestId}] 🔄 Submitting query...`);
-        if (!(await perplexitySubmit(page, query))) {
-            throw new Error('Could not find input field on Perplexity page');
-        }
+function recordDeepHealth(result) {
+    for (const [backend, report] of Object.entries(result.backends)) {
+        const before = lastDeepHealth && lastDeepHealth.backends[backend];
+        if (before ? before.status === report.status : report.status === 'healthy') continue;
+        const log = report.status === 'healthy' ? logger.info : logger.warn;
+        log('Backend health changed', { backend, status: report.status, failed: report.failed, previous: before ? before.status : null });
+    }
+    lastDeepHealth = result;
+}
 
-        console.log(`[perplexity:${requestId}] ⏳ Waiting for answer...`);
-        const start = Date.now();
-        let lastText = '', stableCount = 0, lastChunkedLength = 0;
-        await new Promise(r => setTimeout(r, 5000));
-
-        while (Date.now() - start < MAX_TIMEOUT) {
-            const ext = await perplexityExtract(page);
-            if (ext.answerText) {
-                if (onChunk && ext.answerText.length > lastChunkedLength) {
-                    onChunk(ext.answerText.slice(lastChunkedLength));
-                    lastChunkedLength = ext.answerText.length;
-                }
-                if (ext.answerText === lastText) {
-                    stableCount++;
-                    if ((!ext.isLoading && stableCount >= 3) || stableCount >= 8) {
-                        console.log(`[perplexity:${requestId}] ✅ Done (${ext.answerText.length} chars)`);
-                        return { answer: ext.answerText, sources: ext.sources };
-                    }
-                } else { stableCount = 0; }
-                lastText = ext.answerText;
-            }
-            await new Promise(r => setTimeout(r, 1000));
+function deepHealth() {
+    if (!deepCheck) {
+        deepCheck = (async () => {
+            const backends = Object.keys(SUPPORTED_MODELS);
+            const reports = await Promise.all(backends.map(probeBackend));
+            const result = {
+                status: worstStatus(reports.map(r => r.status)),
+                checkedAt: new Date().toISOString(),
+                backends: Object.fromEntries(backends.map((b, i) => [b, reports[i]]))
+            };
+            recordDeepHealth(result);
+            return result;
+        })().finally(() => { deepCheck = null; });
+    }
+    return deepCheck;
+}
+
+// The last result while it is fresher than DEEP_MIN_INTERVAL, else a new run
+function recentDeepHealth() {
+    if (lastDeepHealth && Date.now() - Date.parse(lastDeepHealth.checkedAt) < DEEP_MIN_INTERVAL) {
+        return Promise.resolve(lastDeepHealth);
+    }
+    return deepHealth();
+}
+
+function startCanary() {
+    if (CANARY_INTERVAL <= 0) return;
+    const run = () => deepHealth().catch(err => logger.error('Health canary failed', { error: err }));
+    run();
+    setInterval(run, CANARY_INTERVAL).unref();
+    logger.info('Health canary started', { intervalMs: CANARY_INTERVAL });
+}
+
+// ─── Conversations ──────────────────────────────────────────────────────────
+// A conversation remembers the provider thread URL and the slot/context that
+// owns it, so a follow-up only submits the new user turn into the same thread
+// instead of replaying the whole history into a fresh page.
+//
+// Lookup order: explicit id (`conversation_id` body field or X-Conversation-Id
+// header), then a hash of the message prefix — i.e. everything the client sent
+// before the new turn, including our previous answer verbatim.
+
+const CONVERSATION_TTL = parseInt(process.env.CONVERSATION_TTL_MS || String(30 * 60 * 1000), 10);
+const MAX_CONVERSATIONS = parseInt(process.env.MAX_CONVERSATIONS || '200', 10);
+
+const conversations = new Map(); // id → { id, backend, slotId, context, url, prefixKey, lastUsed }
+const prefixIndex = new Map();   // prefix hash → conversation id
+
+function hashMessages(backend, messages) {
+    const normalized = messages.map(m => [m.role, contentText(m.content).trim()]);
+    return crypto.createHash('sha256').update(backend + '\n' + JSON.stringify(normalized)).digest('hex');
+}
+
+function pruneConversations() {
+    const now = Date.now();
+    for (const [id, conv] of conversations) {
+        if (now - conv.lastUsed > CONVERSATION_TTL || conversations.size > MAX_CONVERSATIONS) {
+            conversations.delete(id);
+            prefixIndex.delete(conv.prefixKey);
         }
-        if (lastText) return { answer: lastText, sources: [] };
-        throw new Error('Timeout: no answer from Perplexity');
-    } finally {
-        await page.close().catch(() => {});
-        await context.close().catch(() => {});
     }
 }
 
-// ═══════════════════════════════════════════════════════════════════════════
-//  GEMINI BACKEND
-// ═══════════════════════════════════════════════════════════════════════════
+// Messages before the new turn, and the new turn itself (everything after the last assistant reply)
+function splitTurn(messages) {
+    let i = messages.length;
+    while (i > 0 && messages[i - 1].role !== 'assistant') i--;
+    return { prefix: messages.slice(0, i), turn: messages.slice(i) };
+}
 
-async function geminiSubmit(page, query) {
-    await new Promise(r => setTimeout(r, 2000));
-    await page.evaluate(() => window.scrollTo(0, document.body.scrollHeight));
-    await new Promise(r => setTimeout(r, 500));
-
-    const selectors = [
-        '.ql-editor',
-        'rich-textarea .ql-editor',
-        'rich-textarea [contenteditable="true"]',
-        '[contenteditable="true"]',
-        'textarea',
-        '[aria-label*="prompt" i]',
-        '[aria-label*="Enter a prompt" i]',
-        '[placeholder*="Enter a prompt" i]',
-        '[placeholder*="Ask Gemini" i]',
-        'input[type="text"]',
-        '[role="textbox"]'
-    ];
-
-    for (const selector of selectors) {
-        try {
-            const elements = await page.$$(selector);
-            for (const element of elements) {
-                const isVisible = await element.evaluate(el => {
-                    el.scrollIntoView({ behavior: 'instant', block: 'center' });
-                    const rect = el.getBoundingClientRect();
-                    const style = window.getComputedStyle(el);
-                    return style.display !== 'none'
-                        && style.visibility !== 'hidden'
-                        && style.opacity !== '0'
-                        && rect.height > 0
-                        && rect.width > 0;
-                });
-                if (!isVisible) continue;
-
-                await element.click();
-                await new Promise(r => setTimeout(r, 300));
-                await page.keyboard.down('Control');
-                await page.keyboard.press('a');
-                await page.keyboard.up('Control');
-                await page.keyboard.press('Backspace');
-                await new Promise(r => setTimeout(r, 200));
-
-                const client = await page.createCDPSession();
-                await client.send('Input.insertText', { text: query });
-                await client.detach();
-                await new Promise(r => setTimeout(r, 500));
-
-                // Try send button first, fallback to Enter
-                const sendClicked = await page.evaluate(() => {
-                    const sels = [
-                        'button[aria-label*="Send" i]', 'button[aria-label*="Submit" i]',
-                        '.send-button', '[data-mat-icon-name="send"]',
-                    ];
-                    for (const sel of sels) {
-                        const btn = document.querySelector(sel);
-                        if (btn) { (btn.closest('button') || btn).click(); return true; }
-                    }
-                    const buttons = document.querySelectorAll('button');
-                    for (const btn of buttons) {
-                        const al = (btn.getAttribute('aria-label') || '').toLowerCase();
-                        if (al.includes('send') || al.includes('submit')) { btn.click(); return true; }
-                    }
-                    return false;
-                });
-                if (!sendClicked) await page.keyboard.press('Enter');
-                return true;
-            }
-        } catch { continue; }
+// The conversation on any of `backends` (a model's failover list) this request continues
+function findConversation(backends, explicitId, messages) {
+    pruneConversations();
+    const { prefix } = splitTurn(messages);
+    for (const backend of backends) {
+        const id = explicitId || (prefix.length > 0 ? prefixIndex.get(hashMessages(backend, prefix)) : null);
+        const conv = id ? conversations.get(id) : null;
+        if (conv && conv.backend === backend) return conv;
     }
-    return false;
-}
-
-async function geminiExtract(page) {
-    return page.evaluate(() => {
-        const responseSelectors = [
-            'message-content .markdown', 'model-response .markdown',
-            '.response-container .markdown', '.model-response-text',
-            '.response-content', '[class*="response"] .markdown',
-            '.markdown-main-panel', 'message-content', 'model-response',
-        ];
-
-        let answerText = '';
-        for (const sel of responseSelectors) {
-            const els = document.querySelectorAll(sel);
-            if (els.length > 0) {
-                const el = els[els.length - 1];
-                const clone = el.cloneNode(true);
-                clone.querySelectorAll('button, .actions, .feedback, [class*="action"], [class*="toolbar"], [class*="copy"]').forEach(c => c.remove());
-                const text = (clone.innerText || clone.textContent || '').trim();
-                if (text.length > answerText.length) answerText = text;
-            }
-        }
+    return null;
+}
 
-        if (answerText.length < 30) {
-            const fallbackSels = ['[class*="markdown"]', '[class*="Markdown"]', '[class*="response"]', '[class*="Response"]', '[class*="answer"]', '.conversation-container'];
-            for (const sel of fallbackSels) {
-                const els = document.querySelectorAll(sel);
-                for (const el of els) {
-                    const clone = el.cloneNode(true);
-                    clone.querySelectorAll('button, .actions').forEach(c => c.remove());
-                    const t = (clone.innerText || '').trim();
-                    if (t.length > answerText.length) answerText = t;
-                }
-            }
-        }
+function saveConversation(conv, { id, backend, slot, url, messages, answer }) {
+    if (conv) prefixIndex.delete(conv.prefixKey);
+    const prefixKey = hashMessages(backend, messages.concat({ role: 'assistant', content: answer }));
+    conversations.delete(id); // re-insert so pruning sees it as most recent
+    const next = { id, backend, slotId: slot.id, context: slot.context, url, prefixKey, lastUsed: Date.now() };
+    conversations.set(id, next);
+    prefixIndex.set(prefixKey, id);
+    return next;
+}
 
-        const isLoading = !!(
-            document.querySelector('[class*="loading"]') || document.querySelector('[class*="typing"]') ||
-            document.querySelector('[class*="spinner"]') || document.querySelector('[class*="Spinner"]') ||
-            document.querySelector('[class*="progress"]') || document.querySelector('mat-progress-bar') ||
-            document.querySelector('[class*="thinking"]') || document.querySelector('[class*="generating"]')
-        );
-        const prevLen = parseInt(document.body.getAttribute('data-prev-len') || '0');
-        document.body.setAttribute('data-prev-len', String(answerText.length));
-        const isGrowing = answerText.length > prevLen && prevLen > 0;
-
-        return { answerText, isLoading: isLoading || isGrowing };
-    });
+// Message content may be a string or an array of typed parts; keep the text parts
+function contentText(content) {
+    if (typeof content === 'string') return content;
+    if (!Array.isArray(content)) return content == null ? '' : String(content);
+    return content.map(part => (typeof part === 'string' ? part : part.text || '')).filter(Boolean).join('\n');
 }
 
-async function queryGemini(query, onChunk = null) {
-    const { page, context } = await createPage();
-    const requestId = crypto.randomUUID().slice(0, 8);
+function buildPrompt(messages) {
+    return messages.map(m => {
+        const text = contentText(m.content);
+        if (m.role === 'system') return `[System: ${text}]`;
+        if (m.role === 'user') return text;
+        if (m.role === 'assistant') return `[Previous answer: ${text}]`;
+        return text;
+    }).join('\n\n');
+}
 
-    try {
-        console.log(`[gemini:${requestId}] 🌐 Navigating...`);
-        await page.goto('https://gemini.google.com/app', { waitUntil: 'networkidle2', timeout: 60000 });
-        await new Promise(r => setTimeout(r, 2000));
-
-        // Dismiss any initial dialogs
-        await page.evaluate(() => {
-            ['button[aria-label="Close"]', 'button[aria-label="Dismiss"]', 'button[aria-label="Got it"]',
-             '[class*="dismiss"]', '[class*="close-button"]'].forEach(sel => {
-                const btn = document.querySelector(sel);
-                if (btn) btn.click();
-            });
-        });
-        await new Promise(r => setTimeout(r, 500));
+/**
+ * Runs one chat turn inside a pool slot. Continues the stored thread when the
+ * slot still holds the context it was created in, otherwise starts a new
+ * thread with the full flattened history.
+ */
+async function runChatTurn(backend, conv, messages, slot, { onChunk, variant, search, signal, log, trace }) {
+    const { turn } = splitTurn(messages);
+    const followUp = !!(conv && conv.url && conv.context && conv.context === slot.context && turn.length > 0);
+    const query = followUp ? buildPrompt(turn) : buildPrompt(messages);
+    trace.mark('slot', { slot: slot.id, followUp });
+    const result = await queryBackend(backend, query, slot, { onChunk, threadUrl: followUp ? conv.url : null, variant, search, signal, log, trace });
+    return { ...result, followUp, slot };
+}
 
-        console.log(`[gemini:${requestId}] 🔄 Submitting query...`);
-        if (!(await geminiSubmit(page, query))) {
-            const html = await page.content();
-            fs.writeFileSync(path.join(__dirname, 'debug-gemini.html'), html);
-            throw new Error('Could not find input field on Gemini page');
-        }
+/**
+ * Decides how a request uses the response cache. Clients send
+ * X-Cache-Mode: bypass (don't read or write) or refresh (re-query and
+ * overwrite). Continued threads never use it: their answer depends on the
+ * provider thread, not just the prompt.
+ * Returns { status, key } where status is HIT, MISS, REFRESH or BYPASS.
+ */
+function cacheLookup(model, prompt, mode, conv, search = null) {
+    if (!responseCache) return { status: null, key: null };
+    if (conv || mode === 'bypass') return { status: 'BYPASS', key: null };
+    // Different search options are a different question
+    const key = responseCache.keyFor(search ? `${model} ${JSON.stringify(search)}` : model, prompt);
+    if (mode === 'refresh') return { status: 'REFRESH', key };
+    const hit = responseCache.get(key);
+    return hit ? { status: 'HIT', key, hit } : { status: 'MISS', key };
+}
 
-        console.log(`[gemini:${requestId}] ⏳ Waiting for answer...`);
-        const start = Date.now();
-        let lastText = '', stableCount = 0, lastChunkedLength = 0;
-        await new Promise(r => setTimeout(r, 5000));
-
-        while (Date.now() - start < MAX_TIMEOUT) {
-            const ext = await geminiExtract(page);
-            if (ext.answerText && ext.answerText.length > 10) {
-                if (onChunk && ext.answerText.length > lastChunkedLength) {
-                    onChunk(ext.answerText.slice(lastChunkedLength));
-                    lastChunkedLength = ext.answerText.length;
-                }
-                if (ext.answerText === lastText) {
-                    stableCount++;
-                    if ((!ext.isLoading && stableCount >= 3) || stableCount >= 10) {
-                        console.log(`[gemini:${requestId}] ✅ Done (${ext.answerText.length} chars)`);
-                        return { answer: ext.answerText, sources: [] };
-                    }
-                } else { stableCount = 0; }
-                lastText = ext.answerText;
-            }
-            await new Promise(r => setTimeout(r, 1000));
-        }
-        if (lastText) return { answer: lastText, sources: [] };
-        throw new Error('Timeout: no answer from Gemini');
-    } finally {
-        await page.close().catch(() => {});
-        await context.close().catch(() => {});
+// ─── Retries & Failover ─────────────────────────────────────────────────────
+// A failed query is retried on a fresh page (MAX_RETRIES times, backoff
+// doubling from RETRY_BACKOFF_MS) when the failure looks transient, then
+// handed to the next backend of the model's failover list:
+//
+//   model "auto"         → AUTO_BACKENDS (default: every provider, registry order)
+//   any other model      → its backend, then <BACKEND>_FAILOVER, e.g. GEMINI_FAILOVER=perplexity
+//
+// Nothing is retried once text has been streamed to the client: it would
+// see the answer twice.
+//
+// Every attempt also feeds its backend's circuit breaker. A backend whose
+// circuit is open is skipped, and a job still queued for it when it opens
+// fails fast once it reaches a slot instead of loading the page.
+
+const AUTO_MODEL = 'auto';
+const MAX_RETRIES = parseInt(process.env.MAX_RETRIES || '1', 10);
+const RETRY_BACKOFF_MS = parseInt(process.env.RETRY_BACKOFF_MS || '2000', 10);
+
+// Page and browser failures a retry on a new page usually gets past
+const TRANSIENT_MESSAGE = /Target closed|Session closed|Protocol error|Navigation failed|detached Frame|net::ERR_/i;
+
+function backendList(value) {
+    return (value || '').split(',').map(s => s.trim()).filter(Boolean).map(getBackend).filter(Boolean);
+}
+
+// Backends to try for a model, in order; empty when the model is unknown
+function failoverList(model) {
+    if (model === AUTO_MODEL) {
+        const auto = backendList(process.env.AUTO_BACKENDS);
+        return auto.length ? auto : Object.keys(SUPPORTED_MODELS);
     }
+    const primary = getBackend(model);
+    if (!primary) return [];
+    return [...new Set([primary, ...backendList(process.env[`${primary.toUpperCase()}_FAILOVER`])])];
 }
 
-// ═══════════════════════════════════════════════════════════════════════════
-//  MODEL ROUTER — pick backend based on model name
-// ═══════════════════════════════════════════════════════════════════════════
+// The variant to select on `backend`: only the backend the model names has one
+function variantFor(model, backend) {
+    const resolved = resolveModel(model);
+    return resolved && resolved.provider.name === backend ? resolved.variant : null;
+}
 
-function getQueryFn(modelName) {
-    const model = (modelName || DEFAULT_MODEL).toLowerCase().trim();
-    if (model.includes('perplexity') || model === 'pplx') return queryPerplexity;
-    if (model.includes('gemini'))                          return queryGemini;
+// Short failure label for logs and metrics, or null when retrying won't help
+function transientReason(err) {
+    if (err.code === 'input_not_found' || err.code === 'empty_answer') return err.code;
+    if (err.name === 'TimeoutError') return 'timeout';
+    if (TRANSIENT_MESSAGE.test(err.message || '')) return 'browser';
     return null;
 }
 
-// ─── Request Queue ──────────────────────────────────────────────────────────
+const NOT_BACKEND_FAULTS = new Set(['model_not_selected', 'search_not_applied']);
 
-function enqueue(task) {
-    return new Promise((resolve, reject) => {
-        requestQueue.push({ task, resolve, reject });
-        processQueue();
-    });
+function circuitOpenError(backend) {
+    circuitRejections.inc({ backend });
+    const retryAfter = circuits.retryAfter(backend);
+    const err = new Error(`The ${backend} backend is failing and its circuit breaker is open. Please retry in ${retryAfter}s.`);
+    err.code = 'circuit_open';
+    err.status = 503;
+    err.retryAfter = retryAfter;
+    return err;
 }
 
-async function processQueue() {
-    if (processing || requestQueue.length === 0) return;
-    processing = true;
-    const { task, resolve, reject } = requestQueue.shift();
-    try { resolve(await task()); }
-    catch (err) { reject(err); }
-    finally {
-        processing = false;
-        if (requestQueue.length > 0) processQueue();
+// Runs one query attempt under the backend's circuit breaker
+async function withCircuit(backend, attempt) {
+    if (!circuits.acquire(backend)) throw circuitOpenError(backend);
+    try {
+        const result = await attempt();
+        if (!result.answer.trim()) {
+            const err = new Error(`Empty answer from ${backend}`);
+            err.code = 'empty_answer';
+            throw err;
+        }
+        circuits.success(backend);
+        return result;
+    } catch (err) {
+        // A cancelled query says nothing about the backend, nor does a variant
+        // or search option the site won't offer (e.g. to a logged-out account)
+        if (isAbortError(err) || NOT_BACKEND_FAULTS.has(err.code)) circuits.release(backend);
+        else circuits.failure(backend, err);
+        throw err;
     }
 }
 
-// ─── OpenAI Format Helpers ──────────────────────────────────────────────────
+/**
+ * Runs one chat turn on the first backend of `backends` that answers,
+ * retrying transient failures on each. `model` is the requested id, whose
+ * variant (if any) is selected on its own backend. Resolves to the runChatTurn result
+ * plus { backend, attempts }; rejects with the last failure.
+ */
+async function runWithFailover(backends, conv, messages, { model, search, onChunk, signal, priority, onQueuePosition, log, trace, streamed }) {
+    let attempts = 0;
+    let lastError = null;
+    for (const [i, backend] of backends.entries()) {
+        if (i > 0) {
+            failoversTotal.inc({ from: backends[i - 1], to: backend });
+            log.warn('Failing over', { from: backends[i - 1], to: backend, error: lastError });
+        }
+        // Only the backend that owns the thread can continue it
+        let thread = conv && conv.backend === backend ? conv : null;
+        for (let retry = 0; retry <= MAX_RETRIES; retry++) {
+            attempts++;
+            trace.mark('attempt', { backend, retry });
+            try {
+                // Follow-ups must run in the slot whose context owns the thread
+                const result = await enqueue(backend, slot => withCircuit(backend, () => runChatTurn(backend, thread, messages, slot, {
+                    onChunk: onChunk && (text => onChunk(text, backend)), variant: variantFor(model, backend), search, signal, log, trace
+                })), {
+                    slotId: thread ? thread.slotId : null, signal, priority, onPosition: onQueuePosition, log
+                });
+                return { ...result, backend, attempts };
+            } catch (err) {
+                if (isAbortError(err) || streamed()) throw err;
+                lastError = err;
+                const reason = transientReason(err);
+                if (!reason || retry === MAX_RETRIES || !circuits.allows(backend)) break;
+                retriesTotal.inc({ backend, reason });
+                const wait = RETRY_BACKOFF_MS * 2 ** retry;
+                log.warn('Retrying query', { backend, reason, retry: retry + 1, waitMs: wait, error: err });
+                await delay(wait, signal);
+                // The failed attempt may have left half a turn in the thread; start clean
+                thread = null;
+            }
+        }
+    }
+    throw lastError;
+}
 
-function buildCompletionResponse(content, model, sources = []) {
-    const id = 'chatcmpl-' + crypto.randomUUID().replace(/-/g, '').slice(0, 29);
-    let fullContent = content;
-    if (sources.length > 0) {
-        fullContent += '\n\n---\n**Sources:**\n';
-        sources.forEach((src, i) => { fullContent += `${i + 1}. [${src.title}](${src.url})\n`; });
+/**
+ * Validates a chat request and binds it to a backend and conversation.
+ * Every API surface (OpenAI, Anthropic, ...) goes through this so they share
+ * the same pools and provider threads.
+ *
+ * Returns { error: { status, type, message, param, code, retryAfter } } for
+ * bad requests, a full queue or open circuits, or a chat handle: { model, backend,
+ * conversationId, cache, run(onChunk), remember(result, answer) }.
+ * `backend` is the first one the model maps to whose circuit is not open;
+ * run() resolves with the one that actually answered (result.backend) after
+ * retries and failover, or rejects with an error carrying `status` (and
+ * `code`, `retryAfter`) when it should not be reported as a 500.
+ * `remember` must be called with the exact answer text the client received,
+ * since that is what it will send back as history next turn. `cache` is the
+ * X-Cache status to report (null when caching is off); a hit is replayed
+ * through onChunk without touching the browser.
+ *
+ * cacheMode, signal, priority, requestId, log, trace and search normally
+ * come from chatOptions(req, res) (lib/request.js); onQueuePosition(n) is
+ * called while the job waits. `trace` asks for a debug trace bundle when
+ * TRACE_MODE=request. `search` holds the requested web search options; only
+ * backends with the search capability can take such a request.
+ */
+function prepareChat({
+    model, messages, conversationId: explicitId = null,
+    cacheMode = null, signal = null, priority = 'normal', onQueuePosition = null,
+    requestId = null, log = logger, trace: traceRequested = false, search: searchRequested = null
+}) {
+    if (!messages || !Array.isArray(messages) || messages.length === 0) {
+        return { error: { status: 400, message: 'messages is required and must be a non-empty array', param: 'messages', code: 'invalid_messages' } };
+    }
+
+    const requestModel = model || DEFAULT_MODEL;
+    let candidates = failoverList(requestModel);
+    if (candidates.length === 0) {
+        return { error: {
+            status: 400, param: 'model', code: 'model_not_found',
+            message: `Unsupported model: "${requestModel}". Available: ${[...modelIds(), AUTO_MODEL].join(', ')}`
+        } };
     }
+
+    const { search, error: searchError } = parseSearchOptions(searchRequested);
+    if (searchError) return { error: { status: 400, ...searchError } };
+    if (search) {
+        // A backend that can't search would silently ignore the options; a
+        // named model must search itself, "auto" keeps the backends that can
+        const primary = candidates[0];
+        candidates = candidates.filter(b => SUPPORTED_MODELS[b].capabilities.search);
+        if (candidates.length === 0 || (requestModel !== AUTO_MODEL && candidates[0] !== primary)) {
+            const searchable = Object.keys(SUPPORTED_MODELS).filter(b => SUPPORTED_MODELS[b].capabilities.search);
+            return { error: {
+                status: 400, param: 'web_search_options', code: 'unsupported_parameter',
+                message: `Model "${requestModel}" does not take search options. Models that do: ${searchable.join(', ')}`
+            } };
+        }
+    }
+
+    const prompt = buildPrompt(messages);
+    if (!prompt.trim()) {
+        return { error: { status: 400, message: 'No content found in messages', param: 'messages', code: 'empty_content' } };
+    }
+
+    const conv = findConversation(candidates, explicitId, messages);
+    const conversationId = conv ? conv.id : (explicitId || 'conv-' + crypto.randomUUID());
+    // A continued conversation goes back to the backend holding its thread first
+    const ordered = conv ? [conv.backend, ...candidates.filter(b => b !== conv.backend)] : candidates;
+    const backends = ordered.filter(b => circuits.allows(b));
+    const backend = backends[0] || ordered[0];
+
+    const cache = cacheLookup(requestModel, prompt, cacheMode, conv, search);
+    if (cache.hit) {
+        log.info('Cache hit', { model: requestModel });
+        return {
+            model: requestModel,
+            backend,
+            conversationId,
+            cache: cache.status,
+            run: async (onChunk) => {
+                if (onChunk) replayChunks(cache.hit.answer).forEach(chunk => onChunk(chunk));
+                return {
+                    answer: cache.hit.answer, sources: cache.hit.sources, citations: cache.hit.citations,
+                    url: null, partial: false, cached: true, backend: cache.hit.backend || backend, attempts: 0
+                };
+            },
+            // No provider thread behind a cached answer, so nothing to continue
+            remember: () => {}
+        };
+    }
+
+    if (backends.length === 0) {
+        const retryAfter = Math.min(...ordered.map(b => circuits.retryAfter(b)));
+        ordered.forEach(b => circuitRejections.inc({ backend: b }));
+        log.warn('Circuit open, rejecting request', { backends: ordered, retryAfter });
+        return { error: {
+            status: 503, type: 'server_error', param: null, code: 'circuit_open', retryAfter,
+            message: ordered.length > 1
+                ? `The ${ordered.join(', ')} backends are failing and their circuit breakers are open. Please retry in ${retryAfter}s.`
+                : `The ${backend} backend is failing and its circuit breaker is open. Please retry in ${retryAfter}s.`
+        } };
+    }
+
+    const { idle, queued } = poolStats(backend);
+    if (idle === 0 && queued >= MAX_QUEUE_DEPTH) {
+        const retryAfter = retryAfterSeconds(backend);
+        log.warn('Queue full, rejecting request', { backend, queued });
+        return { error: {
+            status: 429, type: 'rate_limit_error', param: null, code: 'queue_full', retryAfter,
+            message: `The ${backend} queue is full (${queued} requests waiting). Please retry in ${retryAfter}s.`
+        } };
+    }
+    if (idle === 0) log.info('Request queued', { backend, priority, ahead: queued });
+
+    return {
+        model: requestModel,
+        backend,
+        conversationId,
+        cache: cache.status,
+        run: async (onChunk) => {
+            const started = Date.now();
+            let seenChunk = false;
+            const chunk = onChunk && ((text, from) => {
+                if (!seenChunk) {
+                    seenChunk = true;
+                    firstToken.observe({ backend: from }, (Date.now() - started) / 1000);
+                }
+                onChunk(text);
+            });
+            const trace = traces.start({ requestId: requestId || crypto.randomUUID(), backend, model: requestModel, requested: traceRequested });
+            if (trace.recording) log.info('Recording trace', { trace: trace.id });
+            trace.mark('queued', { priority });
+            let result;
+            try {
+                result = await runWithFailover(backends, conv, messages, {
+                    model: requestModel, search,
+                    onChunk: chunk, signal, priority, onQueuePosition, log, trace, streamed: () => seenChunk
+                });
+            } catch (err) {
+                trace.finish({ error: err });
+                throw err;
+            }
+            trace.finish({ result });
+            // A stream the page rewrote under us may not match the final answer
+            if (cache.key && !result.partial && !result.rewrites) {
+                responseCache.set(cache.key, {
+                    model: requestModel, backend: result.backend, answer: result.answer, sources: result.sources, citations: result.citations
+                });
+            }
+            return result;
+        },
+        // Key the thread by the history the client will send next time (our answer included)
+        remember: (result, answer) => saveConversation(conv, {
+            id: conversationId, backend: result.backend, slot: result.slot, url: result.url, messages, answer
+        })
+    };
+}
+
+// ─── OpenAI Format Helpers ──────────────────────────────────────────────────
+
+// url_citation annotations for the inline [n] markers; offsets index into the answer text
+function buildAnnotations(sources = [], citations = []) {
+    return citations.filter(c => sources[c.index - 1]).map(c => ({
+        type: 'url_citation',
+        url_citation: {
+            start_index: c.start, end_index: c.end,
+            url: sources[c.index - 1].url, title: sources[c.index - 1].title
+        }
+    }));
+}
+
+// Markdown "Sources" list, only appended when the request sets sources_footer: true
+function buildSourcesFooter(sources = []) {
+    if (sources.length === 0) return '';
+    return '\n\n---\n**Sources:**\n' + sources.map((src, i) => `${i + 1}. [${src.title}](${src.url})\n`).join('');
+}
+
+// Completion ids carry the request id (X-Request-Id) so responses can be matched to logs
+function buildCompletionResponse(id, content, model, { sources = [], citations = [], sourcesFooter = false } = {}) {
+    const fullContent = sourcesFooter ? content + buildSourcesFooter(sources) : content;
+    const annotations = buildAnnotations(sources, citations);
     return {
         id, object: 'chat.completion', created: Math.floor(Date.now() / 1000), model,
-        choices: [{ index: 0, message: { role: 'assistant', content: fullContent }, finish_reason: 'stop' }],
+        choices: [{ index: 0, message: { role: 'assistant', content: fullContent, annotations }, finish_reason: 'stop' }],
         usage: { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 }
     };
 }
 
-function buildStreamChunk(content, model, finishReason = null) {
-    const id = 'chatcmpl-' + crypto.randomUUID().replace(/-/g, '').slice(0, 29);
+function buildStreamChunk(id, content, model, finishReason = null, delta = null) {
     return {
         id, object: 'chat.completion.chunk', created: Math.floor(Date.now() / 1000), model,
-        choices: [{ index: 0, delta: finishReason ? {} : { content }, finish_reason: finishReason }]
+        choices: [{ index: 0, delta: finishReason ? {} : (delta || { content }), finish_reason: finishReason }]
     };
 }
 
@@ -495,72 +968,132 @@ app.use(express.json({ limit: '10mb' }));
 
 app.use((req, res, next) => {
     res.header('Access-Control-Allow-Origin', '*');
-    res.header('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+    res.header('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-Conversation-Id, X-Request-Id, X-Cache-Mode, X-Priority, X-Trace, x-api-key, anthropic-version');
+    res.header('Access-Control-Expose-Headers', 'X-Conversation-Id, X-Request-Id, X-Cache, X-Backend, Retry-After');
     res.header('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
     if (req.method === 'OPTIONS') return res.sendStatus(204);
     next();
 });
 
+// Request id (client's X-Request-Id or a new one), echoed back and bound to
+// every log line of the request as req.log
+const REQUEST_ID = /^[\w.:-]{1,128}$/;
+
+app.use((req, res, next) => {
+    const given = req.get('X-Request-Id');
+    req.id = given && REQUEST_ID.test(given) ? given : crypto.randomUUID().replace(/-/g, '');
+    req.log = logger.child({ requestId: req.id });
+    res.setHeader('X-Request-Id', req.id);
+    next();
+});
+
+// Log, count and time every request; 499 = client went away first
+app.use((req, res, next) => {
+    const start = Date.now();
+    res.once('close', () => {
+        const status = res.writableFinished ? res.statusCode : 499;
+        const ms = Date.now() - start;
+        // Probes and scrapes would drown everything else at info
+        const quiet = req.path === '/health' || req.path === '/metrics';
+        req.log[quiet ? 'debug' : 'info']('Request finished', { method: req.method, path: req.originalUrl, status, ms });
+        if (req.path === '/metrics') return;
+
+        // Label with the model asked for, from a fixed set so clients can't grow the series
+        const requested = req.method === 'POST' && req.body && req.body.model
+            ? String(req.body.model).replace(/:[^:/]*$/, '') // Ollama names carry a ":tag"
+            : '';
+        const model = !requested || [...modelIds(), AUTO_MODEL].includes(requested) ? requested : 'unknown';
+        const endpoint = req.route ? req.baseUrl + req.route.path : 'none';
+        requestsTotal.inc({ model, endpoint, status });
+        requestDuration.observe({ model, endpoint }, ms / 1000);
+    });
+    next();
+});
+
+// Every API route needs a key once keys are configured; /health and /metrics stay open
+app.use(['/v1', '/api'], apiKeys.authenticate);
+
+// ── Metrics ──
+app.get('/metrics', (req, res) => {
+    res.set('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
+    res.send(metrics.render());
+});
+
 // ── Health Check ──
 app.get('/health', (req, res) => {
+    const backends = {};
+    for (const name of Object.keys(SUPPORTED_MODELS)) backends[name] = poolStats(name);
+    const stats = Object.values(backends);
     res.json({
         status: 'ok',
         browser: browserReady ? 'running' : 'stopped',
         models: Object.keys(SUPPORTED_MODELS),
-        queueLength: requestQueue.length,
-        processing
+        queueLength: stats.reduce((n, b) => n + b.queued, 0),
+        processing: stats.some(b => b.busy > 0),
+        backends,
+        cancellations,
+        cache: responseCache ? responseCache.stats() : null,
+        traces: traces.mode,
+        selectors: selectorInfo(),
+        circuits: circuits.stats(Object.keys(SUPPORTED_MODELS)),
+        canary: lastDeepHealth && {
+            status: lastDeepHealth.status,
+            checkedAt: lastDeepHealth.checkedAt,
+            backends: Object.fromEntries(Object.entries(lastDeepHealth.backends).map(([b, r]) => [b, r.status]))
+        }
     });
 });
 
+// ── Deep health: can each provider take a query right now? ──
+app.get('/health/deep', async (req, res) => {
+    const result = await recentDeepHealth();
+    res.status(result.status === 'down' ? 503 : 200).json(result);
+});
+
 // ── List Models ──
 app.get('/v1/models', (req, res) => {
     const now = Math.floor(Date.now() / 1000);
     res.json({
         object: 'list',
-        data: Object.values(SUPPORTED_MODELS).map(m => ({
-            id: m.name, object: 'model', created: now,
-            owned_by: m.owned_by, permission: [], root: m.name, parent: null
-        }))
+        data: [
+            ...Object.values(SUPPORTED_MODELS).flatMap(m => [
+                { id: m.name, object: 'model', created: now, owned_by: m.owned_by, permission: [], root: m.name, parent: null },
+                // Variants pick a model in the site's own picker (see providers/index.js)
+                ...m.variants.map(v => ({
+                    id: `${m.name}-${v}`, object: 'model', created: now, owned_by: m.owned_by, permission: [], root: m.name, parent: m.name
+                }))
+            ]),
+            // Whichever backend of AUTO_BACKENDS answers first (see failoverList)
+            { id: AUTO_MODEL, object: 'model', created: now, owned_by: 'system', permission: [], root: AUTO_MODEL, parent: null }
+        ]
     });
 });
 
+// ── Usage ──
+app.get('/v1/usage', (req, res) => {
+    res.json(apiKeys.usage(req));
+});
+
 // ── Chat Completions ──
 app.post('/v1/chat/completions', async (req, res) => {
     const { messages, model, stream } = req.body;
+    const sourcesFooter = req.body.sources_footer === true;
 
-    if (!messages || !Array.isArray(messages) || messages.length === 0) {
-        return res.status(400).json({
-            error: { message: 'messages is required and must be a non-empty array', type: 'invalid_request_error', param: 'messages', code: 'invalid_messages' }
-        });
-    }
-
-    const requestModel = model || DEFAULT_MODEL;
-    const queryFn = getQueryFn(requestModel);
-
-    if (!queryFn) {
-        return res.status(400).json({
-            error: {
-                message: `Unsupported model: "${requestModel}". Available: ${Object.keys(SUPPORTED_MODELS).join(', ')}`,
-                type: 'invalid_request_error', param: 'model', code: 'model_not_found'
-            }
-        });
-    }
-
-    const query = messages.map(m => {
-        if (m.role === 'system') return `[System: ${m.content}]`;
-        if (m.role === 'user') return m.content;
-        if (m.role === 'assistant') return `[Previous answer: ${m.content}]`;
-        return m.content;
-    }).join('\n\n');
-
-    if (!query.trim()) {
-        return res.status(400).json({
-            error: { message: 'No content found in messages', type: 'invalid_request_error', param: 'messages', code: 'empty_content' }
-        });
+    const chat = prepareChat({
+        model, messages,
+        conversationId: req.body.conversation_id || req.get('X-Conversation-Id') || null,
+        ...chatOptions(req, res),
+        onQueuePosition: stream ? sseQueuePosition(res) : null
+    });
+    if (chat.error) {
+        const { status, type, message, param, code, retryAfter } = chat.error;
+        if (retryAfter) res.setHeader('Retry-After', String(retryAfter));
+        return res.status(status).json({ error: { message, type: type || 'invalid_request_error', param, code } });
     }
-
-    const queuePos = requestQueue.length;
-    if (queuePos > 0) console.log(`📋 Request queued (position ${queuePos})`);
+    const { model: requestModel, conversationId, run: runTurn, remember } = chat;
+    const id = 'chatcmpl-' + req.id;
+    res.setHeader('X-Conversation-Id', conversationId);
+    if (chat.cache) res.setHeader('X-Cache', chat.cache);
 
     // ── Streaming ──
     if (stream) {
@@ -569,28 +1102,38 @@ app.post('/v1/chat/completions', async (req, res) => {
         res.setHeader('Connection', 'keep-alive');
         res.setHeader('X-Accel-Buffering', 'no');
 
-        const roleChunk = {
-            id: 'chatcmpl-' + crypto.randomUUID().replace(/-/g, '').slice(0, 29),
-            object: 'chat.completion.chunk', created: Math.floor(Date.now() / 1000), model: requestModel,
-            choices: [{ index: 0, delta: { role: 'assistant', content: '' }, finish_reason: null }]
-        };
-        res.write(`data: ${JSON.stringify(roleChunk)}\n\n`);
+        res.write(`data: ${JSON.stringify(buildStreamChunk(id, '', requestModel, null, { role: 'assistant', content: '' }))}\n\n`);
 
         try {
-            await enqueue(() => queryFn(query, (chunk) => {
+            let streamed = '';
+            const result = await runTurn((chunk) => {
+                streamed += chunk;
                 if (!res.writableEnded) {
-                    res.write(`data: ${JSON.stringify(buildStreamChunk(chunk, requestModel))}\n\n`);
+                    res.write(`data: ${JSON.stringify(buildStreamChunk(id, chunk, requestModel))}\n\n`);
                 }
-            }));
+            });
+            // Offsets index into the extracted answer, so they only fit the
+            // streamed text if the page never rewrote what was already sent
+            const annotations = streamed === result.answer ? buildAnnotations(result.sources, result.citations) : [];
+            const footer = sourcesFooter ? buildSourcesFooter(result.sources) : '';
+            if (!res.writableEnded) {
+                if (footer) res.write(`data: ${JSON.stringify(buildStreamChunk(id, footer, requestModel))}\n\n`);
+                if (annotations.length > 0) {
+                    res.write(`data: ${JSON.stringify(buildStreamChunk(id, '', requestModel, null, { annotations }))}\n\n`);
+                }
+            }
+            remember(result, streamed + footer);
             if (!res.writableEnded) {
-                res.write(`data: ${JSON.stringify(buildStreamChunk('', requestModel, 'stop'))}\n\n`);
+                // Headers are long gone, so the answering backend rides on the last chunk
+                res.write(`data: ${JSON.stringify({ ...buildStreamChunk(id, '', requestModel, 'stop'), backend: result.backend })}\n\n`);
                 res.write('data: [DONE]\n\n');
                 res.end();
             }
         } catch (err) {
-            console.error('❌ Stream error:', err.message);
+            if (isAbortError(err)) return; // client is gone, nothing to send
+            req.log.error('Stream failed', { error: err });
             if (!res.writableEnded) {
-                res.write(`data: ${JSON.stringify(buildStreamChunk(`\n\n[Error: ${err.message}]`, requestModel, 'stop'))}\n\n`);
+                res.write(`data: ${JSON.stringify(buildStreamChunk(id, `\n\n[Error: ${err.message}]`, requestModel, 'stop'))}\n\n`);
                 res.write('data: [DONE]\n\n');
                 res.end();
             }
@@ -600,16 +1143,40 @@ app.post('/v1/chat/completions', async (req, res) => {
 
     // ── Non-Streaming ──
     try {
-        const result = await enqueue(() => queryFn(query));
-        res.json(buildCompletionResponse(result.answer, requestModel, result.sources || []));
+        const result = await runTurn(null);
+        const response = buildCompletionResponse(id, result.answer, requestModel, {
+            sources: result.sources, citations: result.citations, sourcesFooter
+        });
+        remember(result, response.choices[0].message.content);
+        response.conversation_id = conversationId;
+        response.backend = result.backend;
+        res.setHeader('X-Backend', result.backend);
+        res.json(response);
     } catch (err) {
-        console.error('❌ Error:', err.message);
-        res.status(500).json({
-            error: { message: err.message, type: 'server_error', param: null, code: 'internal_error' }
+        if (isAbortError(err)) return;
+        req.log.error('Request failed', { error: err });
+        if (err.retryAfter) res.setHeader('Retry-After', String(err.retryAfter));
+        res.status(err.status || 500).json({
+            error: {
+                message: err.message, type: err.status < 500 ? 'invalid_request_error' : 'server_error', param: null,
+                code: err.status ? err.code : 'internal_error'
+            }
         });
     }
 });
 
+// ── Anthropic Messages ──
+app.use(anthropicRouter({ prepareChat }));
+
+// ── OpenAI Responses ──
+app.use(responsesRouter({ prepareChat }));
+
+// ── Ollama ──
+app.use(ollamaRouter({ prepareChat, models: SUPPORTED_MODELS }));
+
+// ── Debug traces (admin) ──
+app.use(tracesRouter({ traces }));
+
 // ── Catch-all ──
 app.use((req, res) => {
     res.status(404).json({
@@ -620,29 +1187,50 @@ app.use((req, res) => {
 // ─── Start Server ───────────────────────────────────────────────────────────
 
 async function start() {
-    console.log('\n╔══════════════════════════════════════════════════════════╗');
-    console.log('║     Unified LLM API Server (OpenAI-Compatible)           ║');
-    console.log('╚══════════════════════════════════════════════════════════╝\n');
+    // The banner and endpoint list are for people; JSON log consumers get one line
+    if (logger.pretty) {
+        console.log('\n╔══════════════════════════════════════════════════════════╗');
+        console.log('║     Unified LLM API Server (OpenAI-Compatible)           ║');
+        console.log('╚══════════════════════════════════════════════════════════╝\n');
+    }
 
     await initBrowser();
+    startCanary();
 
     app.listen(PORT, () => {
+        logger.info('Server listening', {
+            url: `http://localhost:${PORT}`,
+            models: Object.keys(SUPPORTED_MODELS),
+            concurrency: Object.fromEntries(Object.keys(SUPPORTED_MODELS).map(b => [b, getPool(b).slots.length])),
+            apiKeys: apiKeys.count,
+            logLevel: logger.level
+        });
+        if (!apiKeys.enabled) logger.warn('No API keys configured — the API is open to anyone who can reach this port');
+        if (!logger.pretty) return;
+
         console.log(`\n🚀 Server running at http://localhost:${PORT}`);
         console.log(`\n📡 Endpoints:`);
         console.log(`   POST http://localhost:${PORT}/v1/chat/completions`);
+        console.log(`   POST http://localhost:${PORT}/v1/messages  (Anthropic format)`);
+        console.log(`   POST http://localhost:${PORT}/v1/responses  (OpenAI Responses format)`);
+        console.log(`   POST http://localhost:${PORT}/api/chat  (Ollama format, also /api/generate, /api/tags)`);
         console.log(`   GET  http://localhost:${PORT}/v1/models`);
-        console.log(`   GET  http://localhost:${PORT}/health`);
-        console.log(`\n🤖 Supported models: ${Object.keys(SUPPORTED_MODELS).join(', ')}`);
+        console.log(`   GET  http://localhost:${PORT}/v1/usage`);
+        if (traces.mode !== 'off') console.log(`   GET  http://localhost:${PORT}/v1/traces  (debug traces, TRACE_MODE=${traces.mode})`);
+        console.log(`   GET  http://localhost:${PORT}/health  (and /health/deep)`);
+        console.log(`   GET  http://localhost:${PORT}/metrics  (Prometheus)`);
+        console.log(`\n🤖 Supported models: ${[...modelIds(), AUTO_MODEL].join(', ')}`);
         console.log(`\n💡 Examples:`);
         console.log(`   curl http://localhost:${PORT}/v1/chat/completions -H "Content-Type: application/json" -d "{\\"model\\":\\"perplexity\\",\\"messages\\":[{\\"role\\":\\"user\\",\\"content\\":\\"Hello\\"}]}"`);
         console.log(`   curl http://localhost:${PORT}/v1/chat/completions -H "Content-Type: application/json" -d "{\\"model\\":\\"gemini\\",\\"messages\\":[{\\"role\\":\\"user\\",\\"content\\":\\"Hello\\"}]}"`);
-        console.log(`\n📋 Queue: requests are processed one at a time`);
+        if (apiKeys.enabled) console.log(`\n🔑 API keys: ${apiKeys.count} configured`);
+        console.log(`\n📋 Concurrency: ${Object.keys(SUPPORTED_MODELS).map(b => `${b}=${getPool(b).slots.length}`).join(', ')}`);
         console.log('─'.repeat(60) + '\n');
     });
 }
 
 process.on('SIGINT', async () => {
-    console.log('\n🛑 Shutting down...');
+    logger.info('Shutting down');
     if (browser) await browser.close().catch(() => {});
     process.exit(0);
 });
@@ -653,6 +1241,6 @@ process.on('SIGTERM', async () => {
 });
 
 start().catch(err => {
-    console.error('❌ Failed to start server:', err.message);
+    logger.error('Failed to start server', { error: err });
     process.exit(1);
 });
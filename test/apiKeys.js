@@ -0,0 +1,111 @@
+/**
+ * Unit tests for API key checks (lib/apiKeys.js), on a fake clock: 401 for a
+ * missing or unknown key, 429 once a key's per-minute rate limit or daily
+ * quota is used up, and both limits freeing up again when their window ends.
+ *
+ * Usage:
+ *   node test/apiKeys.js
+ */
+
+const assert = require('assert');
+const path = require('path');
+const { createApiKeys } = require('../lib/apiKeys');
+
+const MINUTE = 60 * 1000;
+
+// Keys from the env form only, on a clock that starts at 12:00 UTC
+function setup(envKeys, limits = {}) {
+    let time = Date.UTC(2026, 9, 19, 12);
+    const saved = { API_RATE_LIMIT: process.env.API_RATE_LIMIT, API_DAILY_QUOTA: process.env.API_DAILY_QUOTA };
+    process.env.API_RATE_LIMIT = String(limits.rateLimit ?? 0);
+    process.env.API_DAILY_QUOTA = String(limits.dailyQuota ?? 0);
+    const apiKeys = createApiKeys({ file: path.join(__dirname, 'no-such-file.json'), envKeys, now: () => time });
+    for (const [name, value] of Object.entries(saved)) {
+        if (value === undefined) delete process.env[name]; else process.env[name] = value;
+    }
+    return { apiKeys, advance: ms => { time += ms; } };
+}
+
+// Runs the middleware on a fake request; → { status, body, headers, apiKey } (status null = let through)
+function call(apiKeys, { key = null, method = 'POST', model = 'gemini' } = {}) {
+    const headers = key ? { authorization: `Bearer ${key}` } : {};
+    const req = { method, body: { model }, get: name => headers[name.toLowerCase()] };
+    const out = { status: null, body: null, headers: {}, apiKey: null };
+    const res = {
+        setHeader: (name, value) => { out.headers[name] = value; },
+        status(code) { out.status = code; return this; },
+        json(body) { out.body = body; return this; }
+    };
+    apiKeys.authenticate(req, res, () => { out.apiKey = req.apiKey; });
+    return out;
+}
+
+const tests = {
+    'no configured keys lets everything through'() {
+        const { apiKeys } = setup('');
+        assert.strictEqual(apiKeys.enabled, false);
+        assert.strictEqual(call(apiKeys).status, null);
+    },
+
+    'a missing or unknown key gets a 401'() {
+        const { apiKeys } = setup('app=sk-test-123456');
+        const missing = call(apiKeys);
+        assert.strictEqual(missing.status, 401);
+        assert.strictEqual(missing.body.error.code, 'missing_api_key');
+        const unknown = call(apiKeys, { key: 'sk-wrong-000000' });
+        assert.strictEqual(unknown.status, 401);
+        assert.strictEqual(unknown.body.error.code, 'invalid_api_key');
+        assert.strictEqual(call(apiKeys, { key: 'sk-test-123456' }).apiKey.name, 'app');
+    },
+
+    'the rate limit answers 429 until the minute has passed'() {
+        const { apiKeys, advance } = setup('sk-test-123456', { rateLimit: 2 });
+        assert.strictEqual(call(apiKeys, { key: 'sk-test-123456' }).status, null);
+        advance(20 * 1000);
+        assert.strictEqual(call(apiKeys, { key: 'sk-test-123456', method: 'GET' }).status, null);
+        const limited = call(apiKeys, { key: 'sk-test-123456' });
+        assert.strictEqual(limited.status, 429);
+        assert.strictEqual(limited.body.error.code, 'rate_limit_exceeded');
+        assert.strictEqual(limited.headers['Retry-After'], '40', 'until the oldest request leaves the window');
+        advance(40 * 1000);
+        assert.strictEqual(call(apiKeys, { key: 'sk-test-123456' }).status, null);
+    },
+
+    'the daily quota counts queries only and resets at UTC midnight'() {
+        const { apiKeys, advance } = setup('sk-test-123456', { dailyQuota: 2 });
+        call(apiKeys, { key: 'sk-test-123456' });
+        call(apiKeys, { key: 'sk-test-123456' });
+        assert.strictEqual(call(apiKeys, { key: 'sk-test-123456', method: 'GET' }).status, null, 'listings are not queries');
+        const over = call(apiKeys, { key: 'sk-test-123456' });
+        assert.strictEqual(over.status, 429);
+        assert.strictEqual(over.body.error.code, 'insufficient_quota');
+        assert.strictEqual(over.headers['Retry-After'], String(12 * 60 * 60));
+        advance(12 * 60 * MINUTE - 1);
+        assert.strictEqual(call(apiKeys, { key: 'sk-test-123456' }).status, 429);
+        advance(1);
+        assert.strictEqual(call(apiKeys, { key: 'sk-test-123456' }).status, null);
+    },
+
+    'usage reports only the caller\'s key unless it is an admin'() {
+        const { apiKeys } = setup('a=sk-test-aaaaaa,b=sk-test-bbbbbb');
+        call(apiKeys, { key: 'sk-test-aaaaaa', model: 'perplexity' });
+        const own = apiKeys.usage({ apiKey: { name: 'a', admin: false } });
+        assert.deepStrictEqual(own.data.map(k => k.name), ['a']);
+        assert.deepStrictEqual(own.data[0].by_model, { perplexity: 1 });
+        assert.strictEqual(own.data[0].requests_today, 1);
+        assert.deepStrictEqual(apiKeys.usage({ apiKey: { name: 'x', admin: true } }).data.map(k => k.name), ['a', 'b']);
+    }
+};
+
+let failed = 0;
+for (const [name, test] of Object.entries(tests)) {
+    try {
+        test();
+        console.log(`✓ ${name}`);
+    } catch (err) {
+        failed++;
+        console.log(`✗ ${name}\n    ${err.message}`);
+    }
+}
+console.log(`\n${Object.keys(tests).length - failed}/${Object.keys(tests).length} tests passed`);
+process.exit(failed ? 1 : 0);
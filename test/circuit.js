@@ -0,0 +1,115 @@
+/**
+ * Unit tests for the circuit breakers (lib/circuit.js), on a fake clock:
+ * closed → open after `threshold` failures, half-open after the cooldown
+ * with a single probe, and closed again (or re-opened) by its outcome.
+ *
+ * Usage:
+ *   node test/circuit.js
+ */
+
+const assert = require('assert');
+const { createCircuitBreakers } = require('../lib/circuit');
+
+// Breakers on a clock that only moves when the test says so; records state changes
+function setup(options = {}) {
+    let time = 1000000;
+    const changes = [];
+    const breakers = createCircuitBreakers({
+        threshold: 3, cooldown: 10000, now: () => time,
+        onChange: ({ from, to }) => changes.push(`${from}→${to}`),
+        ...options
+    });
+    return { breakers, changes, advance: ms => { time += ms; } };
+}
+
+function fail(breakers, times) {
+    for (let i = 0; i < times; i++) {
+        assert.ok(breakers.acquire('gemini'), 'a closed circuit lets queries through');
+        breakers.failure('gemini', new Error('boom'));
+    }
+}
+
+const tests = {
+    'opens after threshold consecutive failures'() {
+        const { breakers, changes } = setup();
+        fail(breakers, 2);
+        breakers.success('gemini');
+        fail(breakers, 2);
+        assert.strictEqual(breakers.state('gemini'), 'closed', 'a success resets the count');
+        fail(breakers, 1);
+        assert.strictEqual(breakers.state('gemini'), 'open');
+        assert.deepStrictEqual(changes, ['closed→open']);
+        assert.strictEqual(breakers.allows('gemini'), false);
+        assert.strictEqual(breakers.acquire('gemini'), false);
+        assert.strictEqual(breakers.retryAfter('gemini'), 10);
+    },
+
+    'goes half-open after the cooldown and lets one probe through'() {
+        const { breakers, changes, advance } = setup();
+        fail(breakers, 3);
+        advance(9999);
+        assert.strictEqual(breakers.allows('gemini'), false);
+        assert.strictEqual(breakers.retryAfter('gemini'), 1);
+        advance(1);
+        assert.strictEqual(breakers.allows('gemini'), true);
+        assert.strictEqual(breakers.state('gemini'), 'open', 'allows() only looks');
+        assert.strictEqual(breakers.acquire('gemini'), true);
+        assert.strictEqual(breakers.state('gemini'), 'half-open');
+        assert.strictEqual(breakers.acquire('gemini'), false, 'only one probe at a time');
+        assert.deepStrictEqual(changes, ['closed→open', 'open→half-open']);
+    },
+
+    'a successful probe closes the circuit'() {
+        const { breakers, changes, advance } = setup();
+        fail(breakers, 3);
+        advance(10000);
+        breakers.acquire('gemini');
+        breakers.success('gemini');
+        assert.strictEqual(breakers.state('gemini'), 'closed');
+        assert.deepStrictEqual(changes, ['closed→open', 'open→half-open', 'half-open→closed']);
+        fail(breakers, 2);
+        assert.strictEqual(breakers.state('gemini'), 'closed', 'the failure count starts over');
+    },
+
+    'a failed probe opens the circuit for another cooldown'() {
+        const { breakers, changes, advance } = setup();
+        fail(breakers, 3);
+        advance(10000);
+        breakers.acquire('gemini');
+        breakers.failure('gemini', new Error('still down'));
+        assert.strictEqual(breakers.state('gemini'), 'open');
+        assert.strictEqual(breakers.retryAfter('gemini'), 10);
+        assert.strictEqual(breakers.stats(['gemini']).gemini.trips, 2);
+        assert.deepStrictEqual(changes, ['closed→open', 'open→half-open', 'half-open→open']);
+    },
+
+    'a released probe lets the next query probe'() {
+        const { breakers, advance } = setup();
+        fail(breakers, 3);
+        advance(10000);
+        breakers.acquire('gemini');
+        breakers.release('gemini');
+        assert.strictEqual(breakers.state('gemini'), 'half-open');
+        assert.strictEqual(breakers.acquire('gemini'), true);
+    },
+
+    'a threshold of 0 never opens'() {
+        const { breakers, changes } = setup({ threshold: 0 });
+        fail(breakers, 10);
+        assert.strictEqual(breakers.state('gemini'), 'closed');
+        assert.deepStrictEqual(changes, []);
+    }
+};
+
+let failed = 0;
+for (const [name, test] of Object.entries(tests)) {
+    try {
+        test();
+        console.log(`✓ ${name}`);
+    } catch (err) {
+        failed++;
+        console.log(`✗ ${name}\n    ${err.message}`);
+    }
+}
+console.log(`\n${Object.keys(tests).length - failed}/${Object.keys(tests).length} tests passed`);
+process.exit(failed ? 1 : 0);
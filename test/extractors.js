@@ -0,0 +1,135 @@
+/**
+ * Offline regression suite for the provider extractors.
+ *
+ * Every test/fixtures/<provider>/<name>.html is a saved page (a real capture or
+ * a hand-written reduction of one). Its sibling <name>.json holds what that
+ * provider's extract() must return for it:
+ *
+ *   {
+ *     "description": "finished answer with inline citations",
+ *     "query": "What is Node.js?",          // passed to extract() like the runner does
+ *     "expect": {
+ *       "answerText": "...",                // exact, or "answerIncludes": ["...", ...]
+ *       "sources": [{ "title": "...", "url": "..." }],
+ *       "citations": [{ "index": 1, "start": 10, "end": 13 }],
+ *       "strategy": "prose",
+ *       "isLoading": false,
+ *       "finished": true
+ *     }
+ *   }
+ *
+ * Only the fields listed under "expect" are checked. Pages are opened from
+ * file:// in headless Chrome with every other request blocked, so this needs
+ * no network and no login.
+ *
+ * Usage:
+ *   npm test                              # all fixtures
+ *   node test/extractors.js gemini        # fixtures whose path contains "gemini"
+ *   node test/extractors.js --update ...  # rewrite expectations from current output
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { pathToFileURL } = require('url');
+const puppeteer = require('puppeteer');
+const { getProvider } = require('../providers');
+
+const FIXTURES_DIR = path.join(__dirname, 'fixtures');
+const CHECKED = ['answerText', 'sources', 'citations', 'strategy', 'isLoading', 'finished'];
+
+function findFixtures(filters) {
+    return fs.readdirSync(FIXTURES_DIR).flatMap(provider =>
+        fs.readdirSync(path.join(FIXTURES_DIR, provider))
+            .filter(name => name.endsWith('.html'))
+            .map(name => {
+                const html = path.join(FIXTURES_DIR, provider, name);
+                return { provider, name: `${provider}/${name.slice(0, -5)}`, html, spec: html.slice(0, -5) + '.json' };
+            }))
+        .filter(f => filters.length === 0 || filters.some(filter => f.name.includes(filter)));
+}
+
+// Differences between what extract() returned and the fixture's expectations
+function compare(actual, expect) {
+    const problems = [];
+    for (const field of CHECKED) {
+        if (!(field in expect)) continue;
+        if (JSON.stringify(actual[field]) !== JSON.stringify(expect[field])) {
+            problems.push(`${field}: expected ${JSON.stringify(expect[field])}\n${' '.repeat(field.length + 6)}got ${JSON.stringify(actual[field])}`);
+        }
+    }
+    for (const part of expect.answerIncludes || []) {
+        if (!actual.answerText.includes(part)) problems.push(`answerText does not include ${JSON.stringify(part)}`);
+    }
+    return problems;
+}
+
+async function extractFixture(browser, fixture, spec) {
+    const page = await browser.newPage();
+    try {
+        await page.setRequestInterception(true);
+        page.on('request', req => (/^(file|data|about):/.test(req.url()) ? req.continue() : req.abort()));
+        await page.goto(pathToFileURL(fixture.html).href, { waitUntil: 'load', timeout: 30000 });
+        return await getProvider(fixture.provider).extract(page, { query: spec.query || '' });
+    } finally {
+        await page.close();
+    }
+}
+
+async function main() {
+    const args = process.argv.slice(2);
+    const update = args.includes('--update');
+    const fixtures = findFixtures(args.filter(a => a !== '--update'));
+    if (fixtures.length === 0) {
+        console.error('No fixtures matched.');
+        process.exit(1);
+    }
+
+    const browser = await puppeteer.launch({ headless: 'new', args: ['--no-sandbox', '--disable-setuid-sandbox', '--disable-gpu'] });
+    let failed = 0;
+    try {
+        for (const fixture of fixtures) {
+            if (!getProvider(fixture.provider)) {
+                console.log(`✗ ${fixture.name}: no provider named "${fixture.provider}"`);
+                failed++;
+                continue;
+            }
+            const spec = fs.existsSync(fixture.spec) ? JSON.parse(fs.readFileSync(fixture.spec, 'utf8')) : { expect: {} };
+            let actual;
+            try {
+                actual = await extractFixture(browser, fixture, spec);
+            } catch (err) {
+                console.log(`✗ ${fixture.name}: ${err.message}`);
+                failed++;
+                continue;
+            }
+
+            if (update) {
+                // Keep the fields the fixture already pins (all of them for a new fixture)
+                const fields = Object.keys(spec.expect).filter(f => CHECKED.includes(f));
+                for (const field of fields.length ? fields : CHECKED) spec.expect[field] = actual[field];
+                fs.writeFileSync(fixture.spec, JSON.stringify(spec, null, 2) + '\n');
+                console.log(`↻ ${fixture.name}`);
+                continue;
+            }
+
+            const problems = compare(actual, spec.expect);
+            if (problems.length === 0) {
+                console.log(`✓ ${fixture.name}${spec.description ? ` — ${spec.description}` : ''}`);
+            } else {
+                failed++;
+                console.log(`✗ ${fixture.name}`);
+                problems.forEach(p => console.log(`    ${p}`));
+            }
+        }
+    } finally {
+        await browser.close();
+    }
+
+    if (!update) console.log(`\n${fixtures.length - failed}/${fixtures.length} fixtures passed`);
+    process.exit(failed ? 1 : 0);
+}
+
+main().catch(err => {
+    console.error(err);
+    process.exit(1);
+});
@@ -0,0 +1,79 @@
+/**
+ * Unit tests for the stream reconciler (providers/reconciler.js): whatever
+ * the page does to its text, flush() returns the final answer, the deltas add
+ * up to the reconciler's `text` and never repeat text that was already sent.
+ *
+ * Usage:
+ *   node test/reconciler.js
+ */
+
+const assert = require('assert');
+const { createReconciler } = require('../providers/reconciler');
+
+// Feeds `snapshots` then flushes `final`; returns the deltas and the text the client received
+function run(snapshots, final, options = { tailWindow: 4 }) {
+    const deltas = [];
+    const stream = createReconciler(delta => deltas.push(delta), options);
+    snapshots.forEach(snapshot => stream.push(snapshot));
+    assert.strictEqual(stream.flush(final), final, 'flush() returns the final answer');
+    assert.strictEqual(deltas.join(''), stream.text, 'deltas add up to the sent text');
+    return { deltas, text: stream.text, rewrites: stream.rewrites };
+}
+
+const tests = {
+    'append-only snapshots stream the final answer'() {
+        const { deltas, text, rewrites } = run(
+            ['Hello', 'Hello world', 'Hello world this is', 'Hello world this is the end'],
+            'Hello world this is the end.'
+        );
+        assert.strictEqual(text, 'Hello world this is the end.');
+        assert.ok(deltas.length > 1, 'text went out before the flush');
+        assert.strictEqual(rewrites, 0);
+    },
+
+    'a rewrite that settles back holds off, then continues'() {
+        const { text, rewrites } = run(
+            ['Hello world this is', 'Hello world this is', 'Hello World this is', 'Hello World this is', 'Hello world this is the', 'Hello world this is the'],
+            'Hello world this is the end'
+        );
+        assert.strictEqual(text, 'Hello world this is the end');
+        assert.strictEqual(rewrites, 1);
+    },
+
+    'a rewrite at flush appends only what was not sent'() {
+        const { deltas, text, rewrites } = run(['Hello world this is', 'Hello world this is the'], 'Hello World this is final');
+        const sent = deltas.slice(0, -1).join('');
+        assert.strictEqual(sent, 'Hello world this ');
+        assert.strictEqual(text, 'Hello world this is final');
+        assert.strictEqual(rewrites, 1);
+    },
+
+    'a badge that disappears mid-stream resumes the answer after the sent text'() {
+        const { deltas, text, rewrites } = run(
+            ['Node.js[1] is a runtime', 'Node.js[1] is a runtime built on', 'Node.js[1] is a runtime built on', 'Node.js is a runtime built on V8'],
+            'Node.js is a runtime built on V8, used for servers.'
+        );
+        assert.strictEqual(deltas.slice(0, -1).join(''), 'Node.js[1] is a runtime ');
+        assert.strictEqual(text, 'Node.js[1] is a runtime built on V8, used for servers.');
+        assert.strictEqual(rewrites, 1);
+    },
+
+    'a final answer unlike what was sent appends it from where they diverge'() {
+        const { text, rewrites } = run(['Hello world this is', 'Hello world this is the'], 'Hi there');
+        assert.strictEqual(text, 'Hello world this i there');
+        assert.strictEqual(rewrites, 1);
+    }
+};
+
+let failed = 0;
+for (const [name, test] of Object.entries(tests)) {
+    try {
+        test();
+        console.log(`✓ ${name}`);
+    } catch (err) {
+        failed++;
+        console.log(`✗ ${name}\n    ${err.message}`);
+    }
+}
+console.log(`\n${Object.keys(tests).length - failed}/${Object.keys(tests).length} tests passed`);
+process.exit(failed ? 1 : 0);